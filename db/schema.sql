@@ -44,6 +44,10 @@ create table if not exists public.finder_reports (
   created_at timestamptz not null default now()
 );
 
+-- Set when a previous owner keeps a report after transferring the item; null means the current item owner handles it
+alter table public.finder_reports
+  add column if not exists owner_user_id uuid references public.users(id) on delete set null;
+
 create table if not exists public.found_posts (
   id bigserial primary key,
   finder_name text not null,
@@ -119,3 +123,624 @@ create table if not exists public.email_verification_tokens (
 
 create index if not exists email_verification_tokens_user_id_created_at_idx
   on public.email_verification_tokens(user_id, created_at);
+
+create table if not exists public.retired_item_tokens (
+  id bigserial primary key,
+  item_id uuid not null references public.items(id) on delete cascade,
+  token text not null unique,
+  show_notice boolean not null default true,
+  retired_at timestamptz not null default now()
+);
+
+create index if not exists retired_item_tokens_item_id_retired_at_idx
+  on public.retired_item_tokens(item_id, retired_at);
+
+-- Photo galleries (position 0 is the cover, mirrored into the parent's image_url)
+create table if not exists public.item_photos (
+  id bigserial primary key,
+  item_id uuid not null references public.items(id) on delete cascade,
+  image_url text not null,
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists item_photos_item_id_position_idx
+  on public.item_photos(item_id, position);
+
+create table if not exists public.found_post_photos (
+  id bigserial primary key,
+  found_post_id bigint not null references public.found_posts(id) on delete cascade,
+  image_url text not null,
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists found_post_photos_post_id_position_idx
+  on public.found_post_photos(found_post_id, position);
+
+-- Backfill: existing single photos become the cover of their gallery
+insert into public.item_photos (item_id, image_url, position)
+  select i.id, i.image_url, 0 from public.items i
+  where i.image_url is not null
+    and not exists (select 1 from public.item_photos p where p.item_id = i.id);
+
+insert into public.found_post_photos (found_post_id, image_url, position)
+  select f.id, f.image_url, 0 from public.found_posts f
+  where f.image_url is not null
+    and not exists (select 1 from public.found_post_photos p where p.found_post_id = f.id);
+
+-- Ownership transfers (pending until the recipient accepts or declines)
+create table if not exists public.item_transfers (
+  id bigserial primary key,
+  item_id uuid not null references public.items(id) on delete cascade,
+  from_user_id uuid not null references public.users(id) on delete cascade,
+  to_user_id uuid not null references public.users(id) on delete cascade,
+  handover_reports boolean not null default false,
+  status text not null default 'pending',
+  created_at timestamptz not null default now(),
+  responded_at timestamptz
+);
+
+create index if not exists item_transfers_item_id_status_idx
+  on public.item_transfers(item_id, status);
+
+create index if not exists item_transfers_to_user_id_status_idx
+  on public.item_transfers(to_user_id, status);
+
+create table if not exists public.item_history (
+  id bigserial primary key,
+  item_id uuid not null references public.items(id) on delete cascade,
+  event_type text not null,
+  actor_user_id uuid references public.users(id) on delete set null,
+  from_user_id uuid references public.users(id) on delete set null,
+  to_user_id uuid references public.users(id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists item_history_item_id_created_at_idx
+  on public.item_history(item_id, created_at);
+
+-- Status transitions share item_history with transfers (event_type 'status')
+alter table public.item_history
+  add column if not exists from_status text;
+
+alter table public.item_history
+  add column if not exists to_status text;
+
+alter table public.item_history
+  add column if not exists report_id bigint references public.finder_reports(id) on delete set null;
+
+-- QR scans of /found/:token (owner scans are never logged)
+create table if not exists public.item_scans (
+  id bigserial primary key,
+  item_id uuid not null references public.items(id) on delete cascade,
+  scanned_at timestamptz not null default now(),
+  logged_in boolean not null default false,
+  user_agent text,
+  alert_sent boolean not null default false
+);
+
+create index if not exists item_scans_item_id_scanned_at_idx
+  on public.item_scans(item_id, scanned_at);
+
+-- Dashboard scan logs in one call: each item's latest per_item scans, every row carrying the item's total
+create or replace function public.item_scan_logs(item_ids uuid[], per_item integer)
+returns table (item_id uuid, id bigint, scanned_at timestamptz, logged_in boolean, user_agent text, alert_sent boolean, scan_count bigint)
+language sql stable as $$
+  select ranked.item_id, ranked.id, ranked.scanned_at, ranked.logged_in, ranked.user_agent, ranked.alert_sent, ranked.scan_count
+  from (
+    select s.*,
+      row_number() over (partition by s.item_id order by s.scanned_at desc, s.id desc) as position,
+      count(*) over (partition by s.item_id) as scan_count
+    from public.item_scans s
+    where s.item_id = any(item_ids)
+  ) ranked
+  where ranked.position <= per_item
+  order by ranked.item_id, ranked.scanned_at desc, ranked.id desc;
+$$;
+
+-- Guest finders: reports from visitors without an account, replied to through emailed magic links
+alter table public.finder_reports
+  add column if not exists is_guest boolean not null default false;
+
+alter table public.report_messages
+  alter column sender_user_id drop not null;
+
+alter table public.report_messages
+  add column if not exists from_guest boolean not null default false;
+
+create table if not exists public.guest_report_tokens (
+  id bigserial primary key,
+  report_id bigint not null references public.finder_reports(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists guest_report_tokens_report_id_created_at_idx
+  on public.guest_report_tokens(report_id, created_at);
+
+-- Return instructions + reward shown on the QR page (item text first, then the owner's defaults)
+alter table public.items
+  add column if not exists return_instructions_active text;
+
+alter table public.items
+  add column if not exists return_instructions_lost text;
+
+alter table public.items
+  add column if not exists reward_note text;
+
+alter table public.users
+  add column if not exists default_return_instructions_active text;
+
+alter table public.users
+  add column if not exists default_return_instructions_lost text;
+
+alter table public.users
+  add column if not exists default_reward_note text;
+
+-- Lost item ↔ found post suggestions from the matcher (dismissed/claimed pairs are never re-suggested)
+create table if not exists public.item_matches (
+  id bigserial primary key,
+  item_id uuid not null references public.items(id) on delete cascade,
+  found_post_id bigint not null references public.found_posts(id) on delete cascade,
+  score integer not null,
+  reasons text,
+  status text not null default 'suggested',
+  notified_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (item_id, found_post_id)
+);
+
+create index if not exists item_matches_item_id_status_idx
+  on public.item_matches(item_id, status);
+
+-- Board search: weighted full-text vectors (name > category/location > description), trigram fallback for typos
+create extension if not exists pg_trgm;
+
+alter table public.items
+  add column if not exists search_vector tsvector generated always as (
+    setweight(to_tsvector('english', coalesce(item_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(item_description, '')), 'C')
+  ) stored;
+
+alter table public.found_posts
+  add column if not exists search_vector tsvector generated always as (
+    setweight(to_tsvector('english', coalesce(item_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(category, '') || ' ' || coalesce(location_found, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(item_description, '')), 'C')
+  ) stored;
+
+create index if not exists items_search_vector_idx
+  on public.items using gin (search_vector);
+
+create index if not exists found_posts_search_vector_idx
+  on public.found_posts using gin (search_vector);
+
+create index if not exists items_search_trgm_idx
+  on public.items using gin ((item_name || ' ' || coalesce(category, '') || ' ' || coalesce(item_description, '')) gin_trgm_ops);
+
+create index if not exists found_posts_search_trgm_idx
+  on public.found_posts using gin ((item_name || ' ' || coalesce(category, '') || ' ' || coalesce(location_found, '') || ' ' || coalesce(item_description, '')) gin_trgm_ops);
+
+-- Saved Found Board searches; the owner is emailed about matching new posts until expires_at
+create table if not exists public.saved_searches (
+  id bigserial primary key,
+  user_id uuid not null references public.users(id) on delete cascade,
+  item_id uuid references public.items(id) on delete set null,
+  keywords text,
+  category text,
+  location text,
+  found_from date,
+  found_to date,
+  expires_at timestamptz not null,
+  last_alerted_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists saved_searches_user_id_expires_at_idx
+  on public.saved_searches(user_id, expires_at);
+
+-- Photo similarity: 64-bit difference hash (16 hex chars) per photo, null until computed
+alter table public.item_photos
+  add column if not exists phash text;
+
+alter table public.found_post_photos
+  add column if not exists phash text;
+
+-- Set when the backfill couldn't fetch or read a photo, so later batches skip it instead of retrying forever
+alter table public.item_photos
+  add column if not exists phash_failed_at timestamptz;
+
+alter table public.found_post_photos
+  add column if not exists phash_failed_at timestamptz;
+
+-- Campus location directory (admin-managed buildings, each with optional floor/room entries).
+-- Posts and reports keep their free-text location; the ids are set when it names a directory entry.
+create table if not exists public.campus_buildings (
+  id bigserial primary key,
+  name text not null unique,
+  aliases text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.campus_locations (
+  id bigserial primary key,
+  building_id bigint not null references public.campus_buildings(id) on delete cascade,
+  floor text,
+  room text,
+  aliases text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists campus_locations_building_id_idx
+  on public.campus_locations(building_id);
+
+alter table public.found_posts
+  add column if not exists building_id bigint references public.campus_buildings(id) on delete set null,
+  add column if not exists campus_location_id bigint references public.campus_locations(id) on delete set null;
+
+alter table public.finder_reports
+  add column if not exists building_id bigint references public.campus_buildings(id) on delete set null,
+  add column if not exists campus_location_id bigint references public.campus_locations(id) on delete set null;
+
+-- Optional "where did you lose it?" building, set when an item is marked lost
+alter table public.items
+  add column if not exists lost_building_id bigint references public.campus_buildings(id) on delete set null;
+
+alter table public.saved_searches
+  add column if not exists building_id bigint references public.campus_buildings(id) on delete set null;
+
+-- Deleting a building used to delete the saved searches filtered on it; they now just lose the filter
+alter table public.saved_searches drop constraint if exists saved_searches_building_id_fkey;
+alter table public.saved_searches
+  add constraint saved_searches_building_id_fkey
+  foreign key (building_id) references public.campus_buildings(id) on delete set null;
+
+create index if not exists found_posts_building_id_idx
+  on public.found_posts(building_id);
+
+create index if not exists items_lost_building_id_idx
+  on public.items(lost_building_id);
+
+-- Board search: ranked ids + highlighted description snippet; fuzzy matches are only used when full-text
+-- finds nothing. Every filter applies before the 500-row cap, so filtered searches aren't crowded out by
+-- rows they would drop anyway. Both are defined here because they filter on campus buildings.
+drop function if exists public.search_items(text, uuid, text);
+
+create or replace function public.search_items(
+  search_query text,
+  owner_id uuid default null,
+  status_filter text default null,
+  category_filter text default null,
+  building_filter bigint default null
+)
+returns table (id uuid, rank real, snippet text)
+language sql stable as $$
+  with q as (select websearch_to_tsquery('english', search_query) as tsq),
+  candidates as (
+    select i.* from public.items i
+    where (owner_id is null or i.user_id = owner_id)
+      and (status_filter is null or i.item_status = status_filter)
+      and (category_filter is null or i.category = category_filter)
+      and (building_filter is null or i.lost_building_id = building_filter)
+  ),
+  fts as (
+    select i.id, ts_rank(i.search_vector, q.tsq) as rank,
+      ts_headline('english', coalesce(i.item_description, ''), q.tsq, 'StartSel="{{hl}}", StopSel="{{/hl}}", MaxWords=25, MinWords=8') as snippet
+    from candidates i, q
+    where i.search_vector @@ q.tsq
+  ),
+  fuzzy as (
+    select i.id, word_similarity(search_query, i.item_name || ' ' || coalesce(i.category, '') || ' ' || coalesce(i.item_description, '')) as rank,
+      null::text as snippet
+    from candidates i
+    where not exists (select 1 from fts)
+      and search_query <% (i.item_name || ' ' || coalesce(i.category, '') || ' ' || coalesce(i.item_description, ''))
+  )
+  select * from fts
+  union all
+  select * from fuzzy
+  order by rank desc
+  limit 500;
+$$;
+
+-- Found Board dates compare found_at, or created_at for posts without one
+drop function if exists public.search_found_posts(text);
+
+create or replace function public.search_found_posts(
+  search_query text,
+  status_filter text[] default null,
+  category_filter text default null,
+  building_filter bigint default null,
+  found_from timestamptz default null,
+  found_to timestamptz default null
+)
+returns table (id bigint, status text, rank real, snippet text)
+language sql stable as $$
+  with q as (select websearch_to_tsquery('english', search_query) as tsq),
+  candidates as (
+    select f.* from public.found_posts f
+    where (status_filter is null or f.status = any(status_filter))
+      and (category_filter is null or f.category = category_filter)
+      and (building_filter is null or f.building_id = building_filter)
+      and (found_from is null or coalesce(f.found_at, f.created_at) >= found_from)
+      and (found_to is null or coalesce(f.found_at, f.created_at) <= found_to)
+  ),
+  fts as (
+    select f.id, f.status, ts_rank(f.search_vector, q.tsq) as rank,
+      ts_headline('english', coalesce(f.item_description, ''), q.tsq, 'StartSel="{{hl}}", StopSel="{{/hl}}", MaxWords=25, MinWords=8') as snippet
+    from candidates f, q
+    where f.search_vector @@ q.tsq
+  ),
+  fuzzy as (
+    select f.id, f.status, word_similarity(search_query, f.item_name || ' ' || coalesce(f.category, '') || ' ' || coalesce(f.location_found, '') || ' ' || coalesce(f.item_description, '')) as rank,
+      null::text as snippet
+    from candidates f
+    where not exists (select 1 from fts)
+      and search_query <% (f.item_name || ' ' || coalesce(f.category, '') || ' ' || coalesce(f.location_found, '') || ' ' || coalesce(f.item_description, ''))
+  )
+  select * from fts
+  union all
+  select * from fuzzy
+  order by rank desc
+  limit 500;
+$$;
+
+-- Found post turnover: unclaimed posts are handed in to the lost-and-found office ('surrendered'),
+-- then archived off the board ('archived'). Each step is stamped so reminders go out once.
+alter table public.found_posts
+  add column if not exists turnover_reminded_at timestamptz,
+  add column if not exists turnover_requested_at timestamptz,
+  add column if not exists surrendered_at timestamptz,
+  add column if not exists surrendered_by uuid references public.users(id) on delete set null,
+  add column if not exists archive_reminded_at timestamptz,
+  add column if not exists archived_at timestamptz;
+
+create index if not exists found_posts_status_created_at_idx
+  on public.found_posts(status, created_at);
+
+-- Lost-and-found offices (guard house, student affairs, ...) and the custodians who staff them.
+-- A found post with office_id is held at that office; custody_events is its chain of custody.
+create table if not exists public.custody_offices (
+  id bigserial primary key,
+  name text not null unique,
+  location text,
+  office_hours text,
+  created_at timestamptz not null default now()
+);
+
+alter table public.users
+  add column if not exists custodian_office_id bigint references public.custody_offices(id) on delete set null;
+
+alter table public.found_posts
+  add column if not exists office_id bigint references public.custody_offices(id) on delete set null,
+  add column if not exists storage_location text;
+
+create table if not exists public.custody_events (
+  id bigserial primary key,
+  found_post_id bigint not null references public.found_posts(id) on delete cascade,
+  event_type text not null check (event_type in ('intake', 'handoff', 'release')),
+  office_id bigint references public.custody_offices(id) on delete set null,
+  recorded_by uuid references public.users(id) on delete set null,
+  received_from text,
+  received_by text,
+  storage_location text,
+  released_to_user_id uuid references public.users(id) on delete set null,
+  released_to_name text,
+  id_type text,
+  id_last4 text,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists custody_events_found_post_id_idx
+  on public.custody_events(found_post_id, created_at);
+
+create index if not exists found_posts_office_id_idx
+  on public.found_posts(office_id);
+
+-- Admin-managed item categories. items, found_posts and saved_searches keep the category name as text;
+-- renames and merges rewrite those rows. Archived categories stay on existing rows but aren't offered anymore.
+create table if not exists public.item_categories (
+  id bigserial primary key,
+  name text not null unique,
+  icon text,
+  position integer not null default 0,
+  archived_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+insert into public.item_categories (name, position) values
+  ('Electronics', 0), ('ID / Cards', 1), ('Clothing', 2), ('Bags', 3), ('Bottles', 4),
+  ('Books', 5), ('Accessories', 6), ('Keys', 7), ('Other', 8)
+on conflict (name) do nothing;
+
+-- Rename a category (and its icon), or merge one into another, together with every item, found post and
+-- saved search that uses it. Each call is one transaction, so rows never point at a category that's gone.
+create or replace function public.rename_category(category_id bigint, new_name text, new_icon text)
+returns void
+language plpgsql as $$
+declare
+  old_name text;
+begin
+  select name into old_name from public.item_categories where id = category_id for update;
+  if old_name is null then
+    raise exception 'category % not found', category_id;
+  end if;
+  update public.item_categories set name = new_name, icon = new_icon where id = category_id;
+  if new_name <> old_name then
+    update public.items set category = new_name where category = old_name;
+    update public.found_posts set category = new_name where category = old_name;
+    update public.saved_searches set category = new_name where category = old_name;
+  end if;
+end;
+$$;
+
+create or replace function public.merge_category(source_id bigint, target_id bigint)
+returns void
+language plpgsql as $$
+declare
+  source_name text;
+  target_name text;
+begin
+  select name into source_name from public.item_categories where id = source_id for update;
+  select name into target_name from public.item_categories where id = target_id for update;
+  if source_name is null or target_name is null then
+    raise exception 'category % or % not found', source_id, target_id;
+  end if;
+  update public.items set category = target_name where category = source_name;
+  update public.found_posts set category = target_name where category = source_name;
+  update public.saved_searches set category = target_name where category = source_name;
+  delete from public.item_categories where id = source_id;
+end;
+$$;
+
+-- Admin category page: how many items and found posts use each category, in one call
+create or replace function public.category_usage_counts()
+returns table (name text, item_count bigint, post_count bigint)
+language sql stable as $$
+  select c.name, coalesce(i.total, 0), coalesce(p.total, 0)
+  from public.item_categories c
+  left join (select category, count(*) as total from public.items group by category) i on i.category = c.name
+  left join (select category, count(*) as total from public.found_posts group by category) p on p.category = c.name;
+$$;
+
+-- Chat read markers: the newest message id each participant has seen, per thread. They drive the
+-- nav badge, bold unread rows on /messages and the "Seen" note under the last message the other side read.
+create table if not exists public.report_reads (
+  report_id bigint not null references public.finder_reports(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  last_read_message_id bigint not null default 0,
+  read_at timestamptz not null default now(),
+  primary key (report_id, user_id)
+);
+
+create table if not exists public.found_claim_reads (
+  claim_id bigint not null references public.found_claims(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  last_read_message_id bigint not null default 0,
+  read_at timestamptz not null default now(),
+  primary key (claim_id, user_id)
+);
+
+create index if not exists report_reads_user_id_idx
+  on public.report_reads(user_id);
+
+create index if not exists found_claim_reads_user_id_idx
+  on public.found_claim_reads(user_id);
+
+-- Guest finders have no user row, so their marker lives on the report itself
+alter table public.finder_reports
+  add column if not exists guest_last_read_message_id bigint;
+
+-- Move a marker forward (never back), whichever tab or device reports it first
+create or replace function public.mark_thread_read(thread_kind text, thread_id bigint, reader_id uuid, message_id bigint)
+returns void
+language plpgsql as $$
+begin
+  if thread_kind = 'report' then
+    insert into public.report_reads as r (report_id, user_id, last_read_message_id)
+    values (thread_id, reader_id, message_id)
+    on conflict (report_id, user_id) do update
+      set last_read_message_id = greatest(r.last_read_message_id, excluded.last_read_message_id), read_at = now();
+  else
+    insert into public.found_claim_reads as r (claim_id, user_id, last_read_message_id)
+    values (thread_id, reader_id, message_id)
+    on conflict (claim_id, user_id) do update
+      set last_read_message_id = greatest(r.last_read_message_id, excluded.last_read_message_id), read_at = now();
+  end if;
+end;
+$$;
+
+-- Chat photo attachments live in a private bucket; pages only ever get short-lived signed URLs for them.
+-- A message can be just a photo, in which case its text is empty.
+insert into storage.buckets (id, name, public)
+values ('chat-attachments', 'chat-attachments', false)
+on conflict (id) do nothing;
+
+alter table public.report_messages
+  add column if not exists attachment_path text;
+
+alter table public.found_claim_messages
+  add column if not exists attachment_path text;
+
+-- Editing and unsending chat messages (allowed for a short while after sending). The thread shows
+-- "edited" / "Message removed"; the text a message had before each change is kept here for admins.
+alter table public.report_messages
+  add column if not exists edited_at timestamptz,
+  add column if not exists removed_at timestamptz;
+
+alter table public.found_claim_messages
+  add column if not exists edited_at timestamptz,
+  add column if not exists removed_at timestamptz;
+
+create table if not exists public.report_message_edits (
+  id bigserial primary key,
+  message_id bigint not null references public.report_messages(id) on delete cascade,
+  action text not null, -- edit | unsend
+  previous_message text not null,
+  had_attachment boolean not null default false, -- unsent photos are deleted from storage, not kept
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.found_claim_message_edits (
+  id bigserial primary key,
+  message_id bigint not null references public.found_claim_messages(id) on delete cascade,
+  action text not null, -- edit | unsend
+  previous_message text not null,
+  had_attachment boolean not null default false, -- unsent photos are deleted from storage, not kept
+  created_at timestamptz not null default now()
+);
+
+create index if not exists report_message_edits_message_id_idx
+  on public.report_message_edits(message_id, created_at);
+
+create index if not exists found_claim_message_edits_message_id_idx
+  on public.found_claim_message_edits(message_id, created_at);
+
+-- Edit (new_message) or unsend a chat message, recording the text it had before in the same transaction.
+-- The row is locked first, so concurrent changes queue up and each history row holds the real previous text.
+-- Returns 'changed', or why nothing changed: 'missing', 'removed' (already unsent), 'unchanged' or 'empty'.
+create or replace function public.change_chat_message(thread_kind text, target_id bigint, new_message text, unsend boolean)
+returns text
+language plpgsql as $$
+declare
+  current_text text;
+  current_attachment text;
+  current_removed_at timestamptz;
+begin
+  if thread_kind = 'report' then
+    select message, attachment_path, removed_at into current_text, current_attachment, current_removed_at
+    from public.report_messages where id = target_id for update;
+  else
+    select message, attachment_path, removed_at into current_text, current_attachment, current_removed_at
+    from public.found_claim_messages where id = target_id for update;
+  end if;
+  if not found then return 'missing'; end if;
+  if current_removed_at is not null then return 'removed'; end if;
+  if not unsend and new_message = current_text then return 'unchanged'; end if;
+  if not unsend and new_message = '' and current_attachment is null then return 'empty'; end if;
+
+  if thread_kind = 'report' then
+    insert into public.report_message_edits (message_id, action, previous_message, had_attachment)
+    values (target_id, case when unsend then 'unsend' else 'edit' end, current_text, unsend and current_attachment is not null);
+    if unsend then
+      update public.report_messages set message = '', attachment_path = null, removed_at = now() where id = target_id;
+    else
+      update public.report_messages set message = new_message, edited_at = now() where id = target_id;
+    end if;
+  else
+    insert into public.found_claim_message_edits (message_id, action, previous_message, had_attachment)
+    values (target_id, case when unsend then 'unsend' else 'edit' end, current_text, unsend and current_attachment is not null);
+    if unsend then
+      update public.found_claim_messages set message = '', attachment_path = null, removed_at = now() where id = target_id;
+    else
+      update public.found_claim_messages set message = new_message, edited_at = now() where id = target_id;
+    end if;
+  end if;
+  return 'changed';
+end;
+$$;
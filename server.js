@@ -9,6 +9,7 @@ const express = require("express");
 const session = require("express-session");
 const bcrypt = require("bcryptjs");
 const QRCode = require("qrcode");
+const PDFDocument = require("pdfkit");
 const multer = require("multer");
 const sharp = require("sharp");
 const { createClient } = require("@supabase/supabase-js");
@@ -28,6 +29,18 @@ const upload = multer({
     }
   }
 });
+// CSV uploads for bulk item import (kept separate so the image filter above stays strict)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }, // 1MB max
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || ["text/csv", "application/vnd.ms-excel", "text/plain"].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV files are allowed."));
+    }
+  }
+});
 const app = express();
 const PORT = process.env.PORT || 5000;
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
@@ -35,13 +48,131 @@ const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 // Connect to Supabase database
 const supabase = createClient(process.env.SUPABASE_URL || "", process.env.SUPABASE_SERVICE_ROLE_KEY || "");
 
-// Item categories for dropdowns
-const CATEGORIES = ["Electronics", "ID / Cards", "Clothing", "Bags", "Bottles", "Books", "Accessories", "Keys", "Other"];
+// Item categories live in item_categories (managed from the admin panel); anything unknown falls back to
+// FALLBACK_CATEGORY, which can't be renamed, archived or merged away
+const FALLBACK_CATEGORY = "Other";
+const MAX_CATEGORY_NAME_LENGTH = 40;
 const ITEM_STATUS = { ACTIVE: "active", LOST: "lost", RECOVERED: "recovered" };
 const ITEM_STATUS_VALUES = Object.values(ITEM_STATUS);
 const REPORT_STATUS = { OPEN: "open", RESOLVED: "resolved" };
+// Found posts shown on the Found Board (and offered in its status filter); archived ones are off the board.
+// Open posts can still be matched to lost items and turn up in photo search.
+const FOUND_POST_BOARD_STATUSES = ["unclaimed", "claimed", "surrendered", "returned"];
+const FOUND_POST_OPEN_STATUSES = ["unclaimed", "claimed", "surrendered"];
+const TRANSFER_STATUS = { PENDING: "pending", ACCEPTED: "accepted", DECLINED: "declined", CANCELLED: "cancelled" };
 const ALLOWED_EMAIL_DOMAIN = "panpacificu.edu.ph";
 
+// Sticker sheet layouts for printable QR labels (all sizes in PDF points, 72pt = 1 inch)
+const LABEL_LAYOUTS = {
+  "avery-5160": { label: "Avery 5160 / 8160 — 30 per sheet, 2.625\" × 1\" (Letter)", size: "LETTER", columns: 3, rows: 10, width: 189, height: 72, top: 36, left: 13.5, gapX: 9, gapY: 0 },
+  "avery-5163": { label: "Avery 5163 / 8163 — 10 per sheet, 4\" × 2\" (Letter)", size: "LETTER", columns: 2, rows: 5, width: 288, height: 144, top: 36, left: 11.25, gapX: 13.5, gapY: 0 },
+  "avery-22806": { label: "Avery 22806 — 12 per sheet, 2\" × 2\" square (Letter)", size: "LETTER", columns: 3, rows: 4, width: 144, height: 144, top: 45, left: 45, gapX: 45, gapY: 42 },
+  "avery-l7160": { label: "Avery L7160 — 21 per sheet, 63.5 × 38.1 mm (A4)", size: "A4", columns: 3, rows: 7, width: 180, height: 108, top: 43, left: 20.5, gapX: 7, gapY: 0 },
+  "avery-l7165": { label: "Avery L7165 — 8 per sheet, 99.1 × 67.7 mm (A4)", size: "A4", columns: 2, rows: 4, width: 281, height: 192, top: 37, left: 13, gapX: 7, gapY: 0 }
+};
+const DEFAULT_LABEL_LAYOUT = "avery-5160";
+
+// QR scan logging: repeat scans from the same browser within SCAN_DEDUPE_MS count once, and an owner
+// gets at most one "your lost item was scanned" email per item every SCAN_ALERT_COOLDOWN_MS
+const SCAN_DEDUPE_MS = 10 * 60 * 1000;
+const SCAN_ALERT_COOLDOWN_MS = 30 * 60 * 1000;
+// Dashboard cards list this many of an item's latest scans (the total is counted separately)
+const SCAN_LOG_LIMIT = 10;
+
+// Guest finders (no account) confirm their email with a one-time code, then chat through emailed links
+const GUEST_CODE_TTL_MS = 10 * 60 * 1000;
+const GUEST_CODE_MAX_ATTEMPTS = 5;
+const GUEST_CODE_RESEND_MS = 60 * 1000;
+const GUEST_LINK_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const GUEST_LINK_EMAIL_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Bulk item import from CSV (columns: name, description, category)
+const MAX_IMPORT_ROWS = 200;
+
+// Lost/found matching: pairs scoring MATCH_MIN_SCORE+ are suggested on the owner's dashboard,
+// MATCH_NOTIFY_SCORE+ are also emailed. Found posts older than MATCH_LOOKBACK_DAYS are not considered.
+const MATCH_MIN_SCORE = 35;
+const MATCH_NOTIFY_SCORE = 65;
+const MATCH_LOOKBACK_DAYS = 90;
+const MATCH_STATUS = { SUGGESTED: "suggested", DISMISSED: "dismissed", CLAIMED: "claimed" };
+
+// Page sizes for the boards ("load more") and the admin panel tabs
+const BOARD_PAGE_SIZE = 24;
+const ADMIN_PAGE_SIZE = 50;
+
+// Saved Found Board searches email their owner about new posts until they expire
+const SAVED_SEARCH_TTL_DAYS = Number(process.env.SAVED_SEARCH_TTL_DAYS) || 30;
+const MAX_SAVED_SEARCHES = 10;
+
+// Photo similarity (64-bit dHash): photos within PHOTO_MATCH_DISTANCE differing bits boost a lost/found match,
+// search-by-photo on the Found Board is a little more forgiving
+const PHOTO_MATCH_DISTANCE = 10;
+const PHOTO_SEARCH_DISTANCE = 12;
+const PHOTO_HASH_BACKFILL_BATCH = 50;
+
+// Campus location directory: aliases per building/place, and the free-text "details" after a picked place
+const MAX_LOCATION_ALIASES = 10;
+const MAX_LOCATION_DETAIL_LENGTH = 150;
+
+// Found post turnover: unclaimed posts are due to be handed in to the lost-and-found office after
+// FOUND_POST_TURNOVER_DAYS, and surrendered posts leave the board FOUND_POST_ARCHIVE_DAYS later.
+// Finders get a reminder FOUND_POST_REMINDER_DAYS before each step; the sweep runs every FOUND_POST_SWEEP_MS.
+const FOUND_POST_TURNOVER_DAYS = Number(process.env.FOUND_POST_TURNOVER_DAYS) || 14;
+const FOUND_POST_ARCHIVE_DAYS = Number(process.env.FOUND_POST_ARCHIVE_DAYS) || 60;
+const FOUND_POST_REMINDER_DAYS = 2;
+const FOUND_POST_SWEEP_MS = 60 * 60 * 1000;
+const LOST_AND_FOUND_OFFICE = process.env.LOST_AND_FOUND_OFFICE || "the campus lost-and-found office";
+
+// Lost-and-found office custody: the IDs a custodian can record when releasing an item to its owner
+const CUSTODY_ID_TYPES = ["School ID", "Government ID", "Driver's license", "Passport", "Other"];
+const HELD_POST_STATUSES = ["surrendered", "archived"]; // still on an office shelf (archived only leaves the board)
+const MAX_STORAGE_LOCATION_LENGTH = 100;
+
+// Hotspot analytics: the admin page covers the last ANALYTICS_DEFAULT_DAYS unless a range is picked
+const ANALYTICS_DEFAULT_DAYS = 90;
+const ANALYTICS_TOP_HOTSPOTS = 10;
+
+// Chat threads open on the latest CHAT_PAGE_SIZE messages; older ones load a page at a time
+const CHAT_PAGE_SIZE = 50;
+
+// Chat thread kinds: their message table and columns, read-marker table (see mark_thread_read in db/schema.sql),
+// edit-history table and thread column
+const CHAT_THREADS = {
+  report: {
+    messagesTable: "report_messages",
+    messageColumns: "id, sender_user_id, from_guest, message, attachment_path, edited_at, removed_at, created_at",
+    readsTable: "report_reads",
+    editsTable: "report_message_edits",
+    column: "report_id"
+  },
+  claim: {
+    messagesTable: "found_claim_messages",
+    messageColumns: "id, sender_user_id, message, attachment_path, edited_at, removed_at, created_at",
+    readsTable: "found_claim_reads",
+    editsTable: "found_claim_message_edits",
+    column: "claim_id"
+  }
+};
+
+// Senders can edit or unsend a chat message for this long after sending it
+const CHAT_EDIT_WINDOW_MINUTES = 15;
+
+// Chat photos: one per message, kept in a private bucket and shown through signed links that expire
+const CHAT_ATTACHMENT_BUCKET = "chat-attachments";
+const CHAT_ATTACHMENT_URL_TTL_S = 60 * 60;
+
+// Live chat streams: browsers reconnect after THREAD_STREAM_RETRY_MS; the heartbeat keeps proxies from closing idle streams
+const THREAD_STREAM_RETRY_MS = 3000;
+const THREAD_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Photo galleries: up to MAX_PHOTOS per item / found post, ordered by position.
+// Position 0 is the cover and is mirrored into the parent row's image_url.
+const MAX_PHOTOS = 5;
+const PHOTO_GALLERIES = {
+  item: { table: "item_photos", parentTable: "items", parentColumn: "item_id" },
+  found: { table: "found_post_photos", parentTable: "found_posts", parentColumn: "found_post_id" }
+};
+
 // ── Helper Functions ──
 
 // Remove extra spaces from user input
@@ -49,6 +180,11 @@ function sanitize(str) {
   return (str || "").trim();
 }
 
+// Escape user text for the hand-built HTML emails (views get this from EJS)
+function escapeHtml(str) {
+  return String(str ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
 // Check if email format is valid
 function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
@@ -86,6 +222,11 @@ function isValidUsername(username) {
   return true;
 }
 
+// A YYYY-MM-DD value from an <input type="date">
+function isDateInput(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || "")) && !Number.isNaN(new Date(value).getTime());
+}
+
 // Generate a random token for QR codes
 function generateToken() {
   return crypto.randomBytes(16).toString("hex");
@@ -96,6 +237,23 @@ function hashToken(token) {
   return crypto.createHash("sha256").update(String(token || "")).digest("hex");
 }
 
+// Simple arithmetic challenge for forms open to visitors without an account.
+// The answer lives in the session and is cleared after one attempt.
+function createHumanCheck(req) {
+  const a = crypto.randomInt(2, 10);
+  const b = crypto.randomInt(2, 10);
+  req.session.humanCheck = { answer: String(a + b), expiresAt: Date.now() + 30 * 60 * 1000 };
+  return { question: `What is ${a} + ${b}?` };
+}
+
+function passesHumanCheck(req) {
+  const check = req.session.humanCheck;
+  delete req.session.humanCheck;
+  if (String(req.body.website || "").trim()) return false; // honeypot field, hidden from people
+  if (!check || Date.now() > check.expiresAt) return false;
+  return String(req.body.human_answer || "").trim() === check.answer;
+}
+
 // Builds the full clickable password reset URL sent in the reset email
 function buildResetLink(token) {
   return `${BASE_URL}/reset-password/${token}`;
@@ -228,12 +386,97 @@ function safeFileName(value) {
   return (value || "item").replace(/[^a-z0-9-_]/gi, "-").toLowerCase();
 }
 
-// Upload an image to Supabase Storage (compress first)
-async function uploadImage(fileBuffer, prefix) {
-  const compressed = await sharp(fileBuffer)
+// Render a PDF sticker sheet with one QR label per item, filling the layout grid row by row.
+// Wide labels put the QR on the left with the text beside it; squarish labels stack the text under the QR.
+async function buildLabelSheetPdf(items, layout) {
+  const doc = new PDFDocument({ size: layout.size, margin: 0, autoFirstPage: false, info: { Title: "PUTrace QR Labels" } });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const perPage = layout.columns * layout.rows;
+  const pad = Math.min(layout.width, layout.height) * 0.08;
+  const nameSize = Math.max(7, Math.min(14, layout.height * 0.13));
+  const taglineSize = Math.max(5.5, nameSize * 0.7);
+  const isWide = layout.width >= layout.height * 1.6;
+
+  for (let i = 0; i < items.length; i++) {
+    const slot = i % perPage;
+    if (slot === 0) doc.addPage();
+    const x = layout.left + (slot % layout.columns) * (layout.width + layout.gapX);
+    const y = layout.top + Math.floor(slot / layout.columns) * (layout.height + layout.gapY);
+    const qrBuffer = await QRCode.toBuffer(`${BASE_URL}/found/${items[i].token}`, { width: 400, margin: 0 });
+
+    if (isWide) {
+      const qrSize = layout.height - pad * 2;
+      doc.image(qrBuffer, x + pad, y + pad, { width: qrSize, height: qrSize });
+
+      const textX = x + qrSize + pad * 2;
+      const textWidth = layout.width - qrSize - pad * 3;
+      const nameHeight = Math.min(
+        doc.font("Helvetica-Bold").fontSize(nameSize).heightOfString(items[i].item_name, { width: textWidth }),
+        nameSize * 1.2 * 2 // at most two lines
+      );
+      const blockTop = y + (layout.height - (nameHeight + taglineSize * 1.6)) / 2;
+      doc.text(items[i].item_name, textX, blockTop, { width: textWidth, height: nameHeight, ellipsis: true });
+      doc.font("Helvetica").fontSize(taglineSize).fillColor("#555555")
+        .text("Scan if found — PUTrace", textX, blockTop + nameHeight + taglineSize * 0.4, { width: textWidth, lineBreak: false });
+    } else {
+      const textBlock = nameSize * 1.2 + taglineSize * 1.4;
+      const qrSize = Math.min(layout.width - pad * 2, layout.height - pad * 2.5 - textBlock);
+      doc.image(qrBuffer, x + (layout.width - qrSize) / 2, y + pad, { width: qrSize, height: qrSize });
+
+      const textTop = y + pad * 1.5 + qrSize;
+      doc.font("Helvetica-Bold").fontSize(nameSize)
+        .text(items[i].item_name, x + pad, textTop, { width: layout.width - pad * 2, height: nameSize * 1.2, align: "center", ellipsis: true });
+      doc.font("Helvetica").fontSize(taglineSize).fillColor("#555555")
+        .text("Scan if found — PUTrace", x + pad, textTop + nameSize * 1.2, { width: layout.width - pad * 2, align: "center", lineBreak: false });
+    }
+    doc.fillColor("#000000");
+  }
+
+  doc.end();
+  return finished;
+}
+
+// 64-bit difference hash (dHash) as 16 hex chars: greyscale 9x8 thumbnail, one bit per
+// "is the next pixel brighter" comparison. Near-identical photos differ in only a few bits.
+async function computeImageHash(fileBuffer) {
+  const pixels = await sharp(fileBuffer).greyscale().resize(9, 8, { fit: "fill" }).raw().toBuffer();
+  let bits = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits = (bits << 1n) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, "0");
+}
+
+// Number of differing bits between two image hashes (0 = same picture, 64 = opposite)
+function imageHashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// The stored version of a photo; search-by-photo hashes the same output so hashes compare fairly
+function compressImage(fileBuffer) {
+  return sharp(fileBuffer)
     .resize(800, 800, { fit: "inside", withoutEnlargement: true })
     .jpeg({ quality: 75 })
     .toBuffer();
+}
+
+// Compress + store one photo; returns its public URL and similarity hash (null if the upload failed)
+async function uploadImage(fileBuffer, prefix) {
+  const compressed = await compressImage(fileBuffer);
 
   const fileName = `${prefix}-${generateToken()}.jpg`;
   const { error } = await supabase.storage
@@ -243,7 +486,244 @@ async function uploadImage(fileBuffer, prefix) {
   if (error) return null;
 
   const { data } = supabase.storage.from("item-images").getPublicUrl(fileName);
-  return data.publicUrl;
+  return { image_url: data.publicUrl, phash: await computeImageHash(compressed) };
+}
+
+// Remove previously uploaded images from Supabase Storage (accepts one URL or a list; empty values are ignored)
+async function removeImages(imageUrls) {
+  const fileNames = [...new Set([].concat(imageUrls || []).filter(Boolean))].map((url) => url.split("/").pop().split("?")[0]);
+  if (fileNames.length === 0) return;
+  await supabase.storage.from("item-images").remove(fileNames);
+}
+
+// Compress + store a chat photo in the private bucket, filed under its thread ("report-12/…").
+// Returns the storage path (null if the upload failed); pages get signed links via signChatAttachments.
+async function uploadChatAttachment(fileBuffer, threadKey) {
+  const path = `${threadKey}/${generateToken()}.jpg`;
+  const { error } = await supabase.storage
+    .from(CHAT_ATTACHMENT_BUCKET)
+    .upload(path, await compressImage(fileBuffer), { contentType: "image/jpeg", upsert: false });
+  return error ? null : path;
+}
+
+// Adds a short-lived attachment_url to each message that has a photo
+async function signChatAttachments(messages) {
+  const paths = messages.map((m) => m.attachment_path).filter(Boolean);
+  if (paths.length === 0) return messages;
+  const { data } = await supabase.storage.from(CHAT_ATTACHMENT_BUCKET).createSignedUrls(paths, CHAT_ATTACHMENT_URL_TTL_S);
+  const urlsByPath = Object.fromEntries((data || []).filter((d) => d.signedUrl).map((d) => [d.path, d.signedUrl]));
+  return messages.map((m) => ({ ...m, attachment_url: urlsByPath[m.attachment_path] || null }));
+}
+
+// Delete the stored photos of whole threads (message rows cascade with the thread, stored files don't)
+async function removeChatAttachments(kind, threadIds) {
+  if (threadIds.length === 0) return;
+  const { messagesTable, column } = CHAT_THREADS[kind];
+  const { data } = await supabase.from(messagesTable).select("attachment_path").in(column, threadIds).not("attachment_path", "is", null);
+  const paths = (data || []).map((m) => m.attachment_path);
+  if (paths.length > 0) await supabase.storage.from(CHAT_ATTACHMENT_BUCKET).remove(paths);
+}
+
+// Store a chat message (with its optional photo) and push it to the thread's open pages.
+// Returns the new row, or null if it couldn't be saved (an uploaded photo is removed again).
+async function sendThreadMessage(kind, threadId, fields, file, senderName) {
+  const { messagesTable, messageColumns, column } = CHAT_THREADS[kind];
+  let attachment_path = null;
+  if (file) {
+    attachment_path = await uploadChatAttachment(file.buffer, `${kind}-${threadId}`);
+    if (!attachment_path) return null;
+  }
+
+  const { data: sent, error } = await supabase
+    .from(messagesTable)
+    .insert({ [column]: threadId, ...fields, attachment_path })
+    .select(messageColumns)
+    .single();
+  if (error) {
+    if (attachment_path) await supabase.storage.from(CHAT_ATTACHMENT_BUCKET).remove([attachment_path]);
+    return null;
+  }
+
+  const [signed] = await signChatAttachments([sent]);
+  publishThreadMessage(`${kind}:${threadId}`, { ...signed, sender_name: senderName });
+  return signed;
+}
+
+// Edit ({ text }) or unsend ({ unsend: true }) a message within CHAT_EDIT_WINDOW_MINUTES of sending it.
+// The text it had before goes into the thread's edit history for admins; an unsent photo is deleted.
+// isSender checks the message belongs to whoever is asking. Returns an error message, or null when done.
+async function changeThreadMessage(kind, threadId, messageId, isSender, change, senderName) {
+  const { messagesTable, messageColumns, column } = CHAT_THREADS[kind];
+  const { data: message } = await supabase
+    .from(messagesTable)
+    .select(messageColumns)
+    .eq("id", messageId)
+    .eq(column, threadId)
+    .maybeSingle();
+  if (!message || !isSender(message)) return "Message not found.";
+  if (message.removed_at) return "That message was already unsent.";
+  if (Date.now() - new Date(message.created_at).getTime() > CHAT_EDIT_WINDOW_MINUTES * 60 * 1000) {
+    return `Messages can only be edited or unsent for ${CHAT_EDIT_WINDOW_MINUTES} minutes after sending.`;
+  }
+
+  const text = change.unsend ? "" : sanitize(change.text);
+  if (!change.unsend && text.length > 1000) return "Message is too long (max 1000 chars).";
+
+  // Update and edit history in one transaction (change_chat_message in db/schema.sql): no history row, no change
+  const { data: outcome, error } = await supabase.rpc("change_chat_message", {
+    thread_kind: kind, target_id: message.id, new_message: text, unsend: Boolean(change.unsend)
+  });
+  if (error) {
+    console.error("Change chat message failed:", error);
+    return "Couldn't change that message. Please try again.";
+  }
+  if (outcome === "unchanged") return null;
+  if (outcome === "removed") return "That message was already unsent.";
+  if (outcome === "empty") return "Message cannot be empty. Unsend it instead.";
+  if (outcome !== "changed") return "Message not found.";
+  if (change.unsend && message.attachment_path) await supabase.storage.from(CHAT_ATTACHMENT_BUCKET).remove([message.attachment_path]);
+
+  const { data: row } = await supabase.from(messagesTable).select(messageColumns).eq("id", message.id).maybeSingle();
+  if (!row) return null;
+  const [updated] = await signChatAttachments([row]);
+  publishThreadUpdate(`${kind}:${threadId}`, { ...updated, sender_name: senderName });
+  return null;
+}
+
+// Shared by the .../messages/:messageId/edit and /unsend routes of every thread type
+async function handleThreadMessageChange(req, res, kind, threadId, threadUrl, isSender, senderName) {
+  const change = req.path.endsWith("/unsend") ? { unsend: true } : { text: req.body.message || "" };
+  const error = await changeThreadMessage(kind, threadId, Number(req.params.messageId), isSender, change, senderName);
+  if (error) return flashRedirect(req, res, threadUrl, "error", error);
+  return flashRedirect(req, res, threadUrl, "success", change.unsend ? "Message unsent." : "Message updated.");
+}
+
+// Edit history (oldest first) of the given messages, keyed by message id — for the admin thread viewer
+async function getMessageEditHistory(kind, messageIds) {
+  if (messageIds.length === 0) return {};
+  const { data } = await supabase
+    .from(CHAT_THREADS[kind].editsTable)
+    .select("message_id, action, previous_message, had_attachment, created_at")
+    .in("message_id", messageIds)
+    .order("created_at", { ascending: true });
+  const history = {};
+  for (const edit of data || []) {
+    if (!history[edit.message_id]) history[edit.message_id] = [];
+    history[edit.message_id].push(edit);
+  }
+  return history;
+}
+
+// Messages edited or unsent after `since` (an ISO time from an earlier poll), so polling pages can refresh them
+async function getThreadMessageUpdates(kind, threadId, since) {
+  if (!since || Number.isNaN(Date.parse(since))) return [];
+  const { messagesTable, messageColumns, column } = CHAT_THREADS[kind];
+  const stamp = new Date(since).toISOString();
+  const { data } = await supabase
+    .from(messagesTable)
+    .select(messageColumns)
+    .eq(column, threadId)
+    .or(`edited_at.gt.${stamp},removed_at.gt.${stamp}`)
+    .order("id", { ascending: true })
+    .limit(CHAT_PAGE_SIZE);
+  return signChatAttachments(data || []);
+}
+
+// Chat photos of every thread about an item (its finder reports) or a found post (its claims)
+async function removeParentChatAttachments(kind, parentId) {
+  const { data: threads } = kind === "item"
+    ? await supabase.from("finder_reports").select("id").eq("item_id", parentId)
+    : await supabase.from("found_claims").select("id").eq("found_post_id", parentId);
+  await removeChatAttachments(kind === "item" ? "report" : "claim", (threads || []).map((t) => t.id));
+}
+
+// Upload several images in order, skipping any that fail
+async function uploadImages(files, prefix) {
+  const uploads = [];
+  for (const file of files || []) {
+    const upload = await uploadImage(file.buffer, prefix);
+    if (upload) uploads.push(upload);
+  }
+  return uploads;
+}
+
+// Move the photo the user picked as cover (by upload index) to the front
+function orderFilesWithCover(files, coverIndex) {
+  const list = [...(files || [])];
+  const index = Number(coverIndex);
+  if (!Number.isInteger(index) || index <= 0 || index >= list.length) return list;
+  return [list[index], ...list.slice(0, index), ...list.slice(index + 1)];
+}
+
+// Load ordered galleries for a set of parent rows and attach them as `photos`
+async function attachPhotos(kind, rows) {
+  const { table, parentColumn } = PHOTO_GALLERIES[kind];
+  const list = rows || [];
+  const ids = list.map((row) => row.id);
+  const galleries = {};
+  if (ids.length > 0) {
+    const { data } = await supabase
+      .from(table)
+      .select(`id, ${parentColumn}, image_url, phash, position`)
+      .in(parentColumn, ids)
+      .order("position", { ascending: true });
+    for (const photo of data || []) {
+      (galleries[photo[parentColumn]] = galleries[photo[parentColumn]] || []).push(photo);
+    }
+  }
+  return list.map((row) => ({ ...row, photos: galleries[row.id] || [] }));
+}
+
+// Replace a gallery with the given ordered photos ({ image_url, phash }) and sync the cover into the parent row.
+// The new rows go in before the old ones are deleted, so a failed insert leaves the old gallery intact.
+async function savePhotoGallery(kind, parentId, photos) {
+  const { table, parentTable, parentColumn } = PHOTO_GALLERIES[kind];
+  let insertedIds = [];
+  if (photos.length > 0) {
+    const { data: inserted, error } = await supabase
+      .from(table)
+      .insert(photos.map((photo, position) => ({ [parentColumn]: parentId, image_url: photo.image_url, phash: photo.phash || null, position })))
+      .select("id");
+    if (error) return false;
+    insertedIds = inserted.map((photo) => photo.id);
+  }
+  let removeOld = supabase.from(table).delete().eq(parentColumn, parentId);
+  if (insertedIds.length > 0) removeOld = removeOld.not("id", "in", `(${insertedIds.join(",")})`);
+  const { error: removeError } = await removeOld;
+  if (removeError) {
+    if (insertedIds.length > 0) await supabase.from(table).delete().in("id", insertedIds);
+    return false;
+  }
+  const { error } = await supabase.from(parentTable).update({ image_url: photos[0]?.image_url || null }).eq("id", parentId);
+  return !error;
+}
+
+// Stored photo hashes per parent row: { [parentId]: ["a1b2...", ...] }
+async function getPhotoHashes(kind, parentIds) {
+  const { table, parentColumn } = PHOTO_GALLERIES[kind];
+  if (parentIds.length === 0) return {};
+  const data = await fetchAllRows(() => supabase.from(table).select(`id, ${parentColumn}, phash`).in(parentColumn, parentIds).not("phash", "is", null).order("id"));
+  const hashes = {};
+  for (const photo of data) (hashes[photo[parentColumn]] = hashes[photo[parentColumn]] || []).push(photo.phash);
+  return hashes;
+}
+
+// Smallest distance between any photo of one gallery and any of another (null if either has none)
+function closestPhotoDistance(hashesA, hashesB) {
+  let best = null;
+  for (const a of hashesA || []) {
+    for (const b of hashesB || []) {
+      const distance = imageHashDistance(a, b);
+      if (best === null || distance < best) best = distance;
+    }
+  }
+  return best;
+}
+
+// Delete every stored file of a parent's gallery (the photo rows cascade with the parent)
+async function removePhotoGallery(kind, parent) {
+  const [withPhotos] = await attachPhotos(kind, [parent]);
+  await removeImages([parent.image_url, ...withPhotos.photos.map((p) => p.image_url)]);
 }
 
 // Generates a 32-byte random verification token, stores its SHA-256 hash in the DB
@@ -286,6 +766,7 @@ app.use(
 //     (uses session-stored timestamps to compare when the user last opened each thread)
 app.use(async (req, res, next) => {
   res.locals.currentUser = null;
+  res.locals.custodianOfficeId = null;
   res.locals.flash = req.session.flash || null;
   res.locals.currentPath = req.path || "/";
   delete req.session.flash;
@@ -293,48 +774,40 @@ app.use(async (req, res, next) => {
   if (req.session.userId) {
     const { data } = await supabase
       .from("users")
-      .select("id, full_name, username, email, email_verified, is_admin, is_banned")
+      .select("id, full_name, username, email, email_verified, is_admin, is_banned, custodian_office_id")
       .eq("id", req.session.userId)
       .single();
     res.locals.currentUser = data || null;
     res.locals.isAdmin = data?.is_admin === true;
+    res.locals.custodianOfficeId = data?.custodian_office_id || null;
+    res.locals.isCustodian = !!res.locals.custodianOfficeId;
     if (!data) {
       req.session.userId = null;
       res.locals.isAdmin = false;
     }
 
-    // Count unread messages using session-based last-read tracking
+    // Count unread messages against the user's per-thread read markers
     const { data: userItems } = await supabase
       .from("items")
       .select("id")
       .eq("user_id", req.session.userId);
     const ownedIds = (userItems || []).map((i) => i.id);
-    const readReports = req.session.lastReadReports || {};
-    const readFoundClaims = req.session.lastReadFoundClaims || {};
     let unread = 0;
-    if (ownedIds.length > 0) {
-      const { data: openReports } = await supabase
-        .from("finder_reports")
-        .select("id")
-        .in("item_id", ownedIds)
-        .eq("status", "open");
-      const openReportIds = (openReports || []).map((r) => r.id);
-      if (openReportIds.length > 0) {
-        const { data: reportMsgs } = await supabase
+    const { data: openReports } = await ownedReportsQuery(req.session.userId, ownedIds, "id")
+      .eq("status", "open");
+    const openReportIds = (openReports || []).map((r) => r.id);
+    if (openReportIds.length > 0) {
+      const [{ data: reportMsgs }, readReports] = await Promise.all([
+        supabase
           .from("report_messages")
-          .select("id, report_id, created_at")
+          .select("id, report_id")
           .in("report_id", openReportIds)
-          .neq("sender_user_id", req.session.userId);
-        unread = (reportMsgs || []).filter((m) => {
-          const lr = readReports[String(m.report_id)];
-          return !lr || new Date(m.created_at) > new Date(lr);
-        }).length;
-      }
+          .or(`sender_user_id.is.null,sender_user_id.neq.${req.session.userId}`), // guest finders have no user id
+        getReadMarkers("report", openReportIds, req.session.userId)
+      ]);
+      unread = (reportMsgs || []).filter((m) => m.id > (readReports[m.report_id] || 0)).length;
     }
-    const { data: finderPosts } = await supabase
-      .from("found_posts")
-      .select("id")
-      .eq("finder_user_id", req.session.userId);
+    const { data: finderPosts } = await heldFoundPostsQuery(req, res, "id");
     const finderPostIds = (finderPosts || []).map((p) => p.id);
 
     let claimRows = [];
@@ -354,15 +827,15 @@ app.use(async (req, res, next) => {
 
     const claimIds = (claimRows || []).map((c) => c.id);
     if (claimIds.length > 0) {
-      const { data: foundMsgs } = await supabase
-        .from("found_claim_messages")
-        .select("id, claim_id, created_at")
-        .in("claim_id", claimIds)
-        .neq("sender_user_id", req.session.userId);
-      unread += (foundMsgs || []).filter((m) => {
-        const lr = readFoundClaims[String(m.claim_id)];
-        return !lr || new Date(m.created_at) > new Date(lr);
-      }).length;
+      const [{ data: foundMsgs }, readFoundClaims] = await Promise.all([
+        supabase
+          .from("found_claim_messages")
+          .select("id, claim_id")
+          .in("claim_id", claimIds)
+          .neq("sender_user_id", req.session.userId),
+        getReadMarkers("claim", claimIds, req.session.userId)
+      ]);
+      unread += (foundMsgs || []).filter((m) => m.id > (readFoundClaims[m.claim_id] || 0)).length;
     }
     res.locals.unreadMessagesCount = unread;
   }
@@ -387,25 +860,329 @@ function serializeChatMessage(message, currentUserId) {
     id: message.id,
     sender_name: message.sender_name || "User",
     message: message.message,
+    attachment_url: message.attachment_url || null,
     created_at: message.created_at,
-    is_me: message.sender_user_id === currentUserId // true → right-side bubble, false → left-side
+    is_me: message.sender_user_id === currentUserId, // true → right-side bubble, false → left-side
+    ...chatMessageChangeFields(message, message.sender_user_id === currentUserId)
+  };
+}
+
+// Same shape for report threads viewed by a guest finder (their own messages have no sender_user_id)
+function serializeGuestChatMessage(message, report, owner) {
+  return {
+    id: message.id,
+    sender_name: message.from_guest ? report.finder_name : (owner?.full_name || "Owner"),
+    message: message.message,
+    attachment_url: message.attachment_url || null,
+    created_at: message.created_at,
+    is_me: Boolean(message.from_guest),
+    ...chatMessageChangeFields(message, Boolean(message.from_guest))
+  };
+}
+
+// Edited / removed markers, and until when the viewer may still edit or unsend their own message
+function chatMessageChangeFields(message, isMe) {
+  const editableUntil = new Date(new Date(message.created_at).getTime() + CHAT_EDIT_WINDOW_MINUTES * 60 * 1000);
+  return {
+    edited: Boolean(message.edited_at),
+    removed: Boolean(message.removed_at),
+    editable_until: isMe && !message.removed_at && editableUntil > new Date() ? editableUntil.toISOString() : null
+  };
+}
+
+// One page of a thread's messages, oldest first. Message ids only go up, so they double as cursors:
+// `since` → messages newer than that id (poll catch-up), `before` → the page just older than it
+// ("load older messages"), neither → the latest page. hasOlder says whether there's more to page back to;
+// for `since`, hasNewer says the client should ask again from the last id to finish catching up.
+async function getThreadMessagePage(kind, threadId, { since = null, before = null } = {}) {
+  const { messagesTable, messageColumns, column } = CHAT_THREADS[kind];
+  let query = supabase.from(messagesTable).select(messageColumns).eq(column, threadId);
+
+  if (since) {
+    const { data } = await query.gt("id", since).order("id", { ascending: true }).limit(CHAT_PAGE_SIZE + 1);
+    const rows = data || [];
+    return { messages: await signChatAttachments(rows.slice(0, CHAT_PAGE_SIZE)), hasOlder: null, hasNewer: rows.length > CHAT_PAGE_SIZE };
+  }
+
+  if (before) query = query.lt("id", before);
+  const { data } = await query.order("id", { ascending: false }).limit(CHAT_PAGE_SIZE + 1);
+  const rows = data || [];
+  return { messages: await signChatAttachments(rows.slice(0, CHAT_PAGE_SIZE).reverse()), hasOlder: rows.length > CHAT_PAGE_SIZE, hasNewer: null };
+}
+
+// Id of the newest message in a page (0 when empty), for read markers
+function lastMessageId(messages) {
+  return messages.length > 0 ? messages[messages.length - 1].id : 0;
+}
+
+// The `since` / `before` message-id cursors from a poll request
+function getThreadCursor(query) {
+  return { since: Number(query.since) || null, before: Number(query.before) || null };
+}
+
+// Conversation list preview for a thread's latest message (photo-only and unsent messages have no text)
+function chatPreview(message) {
+  if (!message) return null;
+  if (message.removed_at) return "Message removed";
+  return message.message || (message.attachment_path ? "Sent a photo" : null);
+}
+
+// Poll responses only carry the thread status when it differs from the one the client last saw
+function threadStatusDelta(status, knownStatus) {
+  return status === knownStatus ? {} : { status };
+}
+
+// Full names for the senders of a batch of messages, keyed by user id
+async function getSenderNames(messages) {
+  const senderIds = [...new Set(messages.map((m) => m.sender_user_id).filter(Boolean))];
+  if (senderIds.length === 0) return {};
+  const { data: users } = await supabase.from("users").select("id, full_name").in("id", senderIds);
+  return Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
+}
+
+// Keep category values consistent (names = the categories currently offered, from getCategories)
+function normalizeCategory(category, names) {
+  return names.includes(category) ? category : FALLBACK_CATEGORY;
+}
+
+// The admin-managed categories in display order. `active` (names) is what pickers and filters offer;
+// `icons` covers archived ones too, since existing items and posts keep their category.
+async function getCategories() {
+  const { data } = await supabase
+    .from("item_categories")
+    .select("id, name, icon, position, archived_at")
+    .order("position", { ascending: true })
+    .order("name", { ascending: true });
+  const all = data || [];
+  const active = all.filter((c) => !c.archived_at).map((c) => c.name);
+  return {
+    all,
+    active: active.includes(FALLBACK_CATEGORY) ? active : [...active, FALLBACK_CATEGORY],
+    icons: Object.fromEntries(all.filter((c) => c.icon).map((c) => [c.name, c.icon]))
   };
 }
 
-// Keep category values consistent
-function normalizeCategory(category) {
-  return CATEGORIES.includes(category) ? category : "Other";
+// Ranked full-text search in Postgres (search_items / search_found_posts in db/schema.sql).
+// Returns null when there's nothing to search for, otherwise the hits best-first.
+async function searchBoard(rpcName, search, params = {}) {
+  const query = sanitize(search);
+  if (!query) return null;
+  const { data, error } = await supabase.rpc(rpcName, { search_query: query, ...params });
+  if (error) throw error;
+  return data || [];
 }
 
-// Shared search helper for simple text filtering
-function filterBySearch(rows, search, fields) {
+// Split a ts_headline snippet into plain/highlighted parts so views can escape each piece.
+// Snippets without a highlighted word (the hit was in the name or category) are dropped.
+function parseSnippet(snippet) {
+  if (!snippet || !snippet.includes("{{hl}}")) return null;
+  return snippet.split(/(\{\{hl\}\}[\s\S]*?\{\{\/hl\}\})/).filter(Boolean).map((part) => {
+    const hit = part.match(/^\{\{hl\}\}([\s\S]*)\{\{\/hl\}\}$/);
+    return hit ? { text: hit[1], hit: true } : { text: part, hit: false };
+  });
+}
+
+// Keep only rows the search matched, best match first, each with its snippet
+function applySearchRanking(rows, hits) {
   const list = rows || [];
-  const query = sanitize(search).toLowerCase();
-  if (!query) return list;
+  if (!hits) return list;
+  const ranked = new Map(hits.map((h, index) => [String(h.id), { index, snippet: parseSnippet(h.snippet) }]));
+  return list
+    .filter((row) => ranked.has(String(row.id)))
+    .sort((a, b) => ranked.get(String(a.id)).index - ranked.get(String(b.id)).index)
+    .map((row) => ({ ...row, snippet: ranked.get(String(row.id)).snippet }));
+}
 
-  return list.filter((row) =>
-    fields.some((field) => String(row[field] || "").toLowerCase().includes(query))
-  );
+// Boards and admin lists page newest-first with a keyset cursor on (created_at, id), so pages stay
+// stable while new rows arrive. Ranked search results are already capped and page by offset instead.
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const value = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    return value && typeof value === "object" ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// One newest-first page of `query`. PostgREST takes a single or= filter, so a caller's own
+// .or() expression is passed in as extraOr and combined with the cursor condition here.
+async function fetchKeysetPage(query, cursorParam, pageSize, extraOr = "") {
+  const cursor = decodeCursor(cursorParam);
+  const conditions = [];
+  if (extraOr) conditions.push(`or(${extraOr})`);
+  if (cursor && !Number.isNaN(new Date(cursor.c).getTime()) && /^[\w-]+$/.test(String(cursor.i))) {
+    conditions.push(`or(created_at.lt."${cursor.c}",and(created_at.eq."${cursor.c}",id.lt."${cursor.i}"))`);
+  }
+  if (conditions.length === 1) query = query.or(conditions[0].slice(3, -1));
+  if (conditions.length > 1) query = query.or(`and(${conditions.join(",")})`);
+
+  const { data, error } = await query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(pageSize + 1);
+  if (error) throw error;
+  const rows = (data || []).slice(0, pageSize);
+  const last = rows[rows.length - 1];
+  return { rows, nextCursor: (data || []).length > pageSize ? encodeCursor({ c: last.created_at, i: last.id }) : null };
+}
+
+// Board page: ranked search hits page by offset (matched holds every hit), plain browsing uses the keyset
+async function fetchBoardPage(query, hits, cursorParam, extraOr = "", prefiltered = false) {
+  if (!hits) return fetchKeysetPage(query, cursorParam, BOARD_PAGE_SIZE, extraOr);
+  if (hits.length === 0) return { rows: [], matched: [], nextCursor: null };
+  if (extraOr) query = query.or(extraOr);
+  const offset = Math.max(0, Number.parseInt(decodeCursor(cursorParam)?.o, 10) || 0);
+
+  // The search already applied every filter, so the hits are the result: only this page's rows are loaded
+  if (prefiltered) {
+    const pageHits = hits.slice(offset, offset + BOARD_PAGE_SIZE);
+    const { data, error } = await query.in("id", pageHits.map((h) => h.id));
+    if (error) throw error;
+    return {
+      rows: applySearchRanking(data, pageHits),
+      matched: hits,
+      nextCursor: hits.length > offset + BOARD_PAGE_SIZE ? encodeCursor({ o: offset + BOARD_PAGE_SIZE }) : null
+    };
+  }
+
+  const { data, error } = await query.in("id", hits.map((h) => h.id));
+  if (error) throw error;
+  const matched = applySearchRanking(data, hits);
+  return {
+    rows: matched.slice(offset, offset + BOARD_PAGE_SIZE),
+    matched,
+    nextCursor: matched.length > offset + BOARD_PAGE_SIZE ? encodeCursor({ o: offset + BOARD_PAGE_SIZE }) : null
+  };
+}
+
+// Start and end instants of a whole-Manila-day range (from and/or to, "YYYY-MM-DD"); null for an open end
+function manilaDayBounds(from, to) {
+  return {
+    from: from ? new Date(`${from}T00:00:00+08:00`).toISOString() : null,
+    to: to ? new Date(`${to}T23:59:59.999+08:00`).toISOString() : null
+  };
+}
+
+// PostgREST `or` filter for found posts found within whole Manila days;
+// old posts without found_at use their posting time. Empty when neither end is set.
+function foundDateRangeFilter(from, to) {
+  if (!from && !to) return "";
+  const range = manilaDayBounds(from, to);
+  const bounds = [];
+  if (range.from) bounds.push(["gte", range.from]);
+  if (range.to) bounds.push(["lte", range.to]);
+  const on = (column) => bounds.map(([op, value]) => `${column}.${op}.${value}`).join(",");
+  return `and(${on("found_at")}),and(found_at.is.null,${on("created_at")})`;
+}
+
+// PostgREST caps each response (1000 rows by default), so larger reads go range by range.
+// buildQuery must return a fresh, stably ordered query each time.
+async function fetchAllRows(buildQuery, batchSize = 1000) {
+  const rows = [];
+  for (let start = 0; ; start += batchSize) {
+    const { data, error } = await buildQuery().range(start, start + batchSize - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < batchSize) return rows;
+  }
+}
+
+// Link to the next page, keeping the current filters
+function pageUrl(path, params) {
+  return `${path}?${new URLSearchParams(Object.entries(params).filter(([, value]) => value))}`;
+}
+
+// Normalize a list of ids from a form/query value (single value, array, or comma-separated list)
+function parseIdList(value) {
+  return [...new Set([].concat(value || []).flatMap((v) => String(v).split(",")).map((v) => sanitize(v)).filter(Boolean))];
+}
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text || "").replace(/^\uFEFF/, ""); // strip Excel's byte order mark
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// Rows of values as CSV text; cells that spreadsheets would run as formulas are prefixed with a quote
+function toCsv(rows) {
+  const cell = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Turn parsed CSV rows into import rows, each validated with the same rules as the register form.
+// A header row is optional; when present, columns can be in any order.
+function buildImportRows(csvRows, categoryNames) {
+  const NAME_HEADERS = ["name", "item_name", "item name"];
+  const header = (csvRows[0] || []).map((h) => h.trim().toLowerCase());
+  const hasHeader = header.some((h) => NAME_HEADERS.includes(h));
+  const indexOf = (names, fallback) => {
+    if (!hasHeader) return fallback;
+    const index = header.findIndex((h) => names.includes(h));
+    return index === -1 ? null : index;
+  };
+  const nameIndex = indexOf(NAME_HEADERS, 0);
+  const descriptionIndex = indexOf(["description", "item_description", "item description", "details"], 1);
+  const categoryIndex = indexOf(["category"], 2);
+  const categoryByLowercase = Object.fromEntries(categoryNames.map((c) => [c.toLowerCase(), c]));
+
+  const rows = [];
+  csvRows.forEach((cells, index) => {
+    if (hasHeader && index === 0) return;
+    if (!cells.some((value) => value.trim())) return; // skip blank lines
+    const cell = (i) => (i === null ? "" : sanitize(cells[i]));
+    const item_name = cell(nameIndex);
+    const item_description = cell(descriptionIndex);
+    const rawCategory = cell(categoryIndex);
+    const category = normalizeCategory(categoryByLowercase[rawCategory.toLowerCase()] || rawCategory, categoryNames);
+    rows.push({
+      rowNumber: index + 1,
+      item_name,
+      item_description,
+      category,
+      unknownCategory: rawCategory && category === FALLBACK_CATEGORY && rawCategory.toLowerCase() !== FALLBACK_CATEGORY.toLowerCase() ? rawCategory : null,
+      error: getItemValidationError(item_name, item_description)
+    });
+  });
+  return rows;
+}
+
+// Shared validation for registering and editing items
+function getItemValidationError(itemName, itemDescription) {
+  if (!itemName || itemName.length > 150) return "Item name is required (max 150 characters).";
+  if (!itemDescription) return "Item description is required.";
+  if (itemDescription.length > 1000) return "Description is too long (max 1000 characters).";
+  return null;
 }
 
 // Shared validation for finder/sighting reports
@@ -423,44 +1200,1056 @@ async function getOwnedItem(req, itemId, columns = "id, user_id") {
   return item;
 }
 
-// Ensure logged-in user can access the report thread (item owner or finder email match)
-async function getAccessibleReportContext(req, res, reportId) {
+// Load an ownership transfer only if the logged-in user is its sender or recipient (side is "from_user_id" or "to_user_id")
+async function getUserTransfer(req, transferId, side) {
+  const { data: transfer } = await supabase
+    .from("item_transfers")
+    .select("id, item_id, from_user_id, to_user_id, handover_reports, status, created_at")
+    .eq("id", Number(transferId))
+    .maybeSingle();
+  if (!transfer || transfer[side] !== req.session.userId) return null;
+  return transfer;
+}
+
+// Finder reports answered by this user as the owner: reports on items they own, except ones a
+// previous owner kept when transferring the item, plus reports they kept after transferring an item away
+function ownedReportsQuery(userId, ownedItemIds, columns) {
+  const query = supabase.from("finder_reports").select(columns);
+  if (ownedItemIds.length === 0) return query.eq("owner_user_id", userId);
+  return query.or(`owner_user_id.eq.${userId},and(item_id.in.(${ownedItemIds.join(",")}),owner_user_id.is.null)`);
+}
+
+// The user who answers a report: a previous owner who kept it, otherwise the item's current owner
+function getReportOwnerId(report, item) {
+  return report.owner_user_id || item.user_id;
+}
+
+// Append an event (status change, transfer) to an item's history; a failed insert is logged, never fatal
+async function recordItemHistory(entry) {
+  const { error } = await supabase.from("item_history").insert(entry);
+  if (error) console.error("Item history insert error:", error);
+}
+
+// Build each item's history (newest first) with user names and linked finder reports filled in
+async function getItemTimelines(itemIds) {
+  if (itemIds.length === 0) return {};
+  const { data: rows } = await supabase
+    .from("item_history")
+    .select("id, item_id, event_type, actor_user_id, from_user_id, to_user_id, from_status, to_status, report_id, note, created_at")
+    .in("item_id", itemIds)
+    .order("created_at", { ascending: false });
+  const events = rows || [];
+
+  const userIds = [...new Set(events.flatMap((e) => [e.actor_user_id, e.from_user_id, e.to_user_id]).filter(Boolean))];
+  const reportIds = [...new Set(events.map((e) => e.report_id).filter(Boolean))];
+  const [{ data: users }, { data: reports }] = await Promise.all([
+    userIds.length > 0 ? supabase.from("users").select("id, full_name").in("id", userIds) : { data: [] },
+    reportIds.length > 0 ? supabase.from("finder_reports").select("id, finder_name, location_hint, created_at").in("id", reportIds) : { data: [] }
+  ]);
+  const namesById = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
+  const reportsById = Object.fromEntries((reports || []).map((r) => [r.id, r]));
+
+  const timelines = {};
+  for (const e of events) {
+    if (!timelines[e.item_id]) timelines[e.item_id] = [];
+    timelines[e.item_id].push({
+      ...e,
+      actor_name: namesById[e.actor_user_id] || null,
+      from_name: namesById[e.from_user_id] || "Former user",
+      to_name: namesById[e.to_user_id] || "Former user",
+      report: reportsById[e.report_id] || null
+    });
+  }
+  return timelines;
+}
+
+// Each item's latest "marked lost" history entry (items with no recorded transition are left out)
+async function getLatestLostEvents(itemIds) {
+  if (itemIds.length === 0) return {};
+  const { data: rows } = await supabase
+    .from("item_history")
+    .select("item_id, note, created_at")
+    .in("item_id", itemIds)
+    .eq("event_type", "status")
+    .eq("to_status", ITEM_STATUS.LOST)
+    .order("created_at", { ascending: false });
+  const latest = {};
+  for (const r of rows || []) {
+    if (!latest[r.item_id]) latest[r.item_id] = r;
+  }
+  return latest;
+}
+
+// When each lost item was last marked lost
+async function getLostSinceMap(itemIds) {
+  const events = await getLatestLostEvents(itemIds);
+  return Object.fromEntries(Object.entries(events).map(([itemId, e]) => [itemId, e.created_at]));
+}
+
+// Reduce a User-Agent header to "Device · Browser" so scan logs stay coarse
+function describeUserAgent(ua) {
+  const value = String(ua || "");
+  const device = /iPhone|iPad|iPod/i.test(value) ? "iOS"
+    : /Android/i.test(value) ? "Android"
+      : /Windows/i.test(value) ? "Windows"
+        : /Macintosh|Mac OS X/i.test(value) ? "Mac"
+          : /Linux|CrOS/i.test(value) ? "Linux"
+            : "Unknown device";
+  const browser = /Edg\//i.test(value) ? "Edge"
+    : /OPR\/|Opera/i.test(value) ? "Opera"
+      : /SamsungBrowser/i.test(value) ? "Samsung Internet"
+        : /Firefox|FxiOS/i.test(value) ? "Firefox"
+          : /Chrome|CriOS/i.test(value) ? "Chrome"
+            : /Safari/i.test(value) ? "Safari"
+              : "Other browser";
+  return `${device} · ${browser}`;
+}
+
+// Log a QR scan (never for the owner) and email the owner if the item is lost.
+// Scan logging must never break the scan page, so errors are only logged.
+async function recordItemScan(req, item) {
+  try {
+    if (item.user_id === req.session.userId) return;
+    const loggedIn = Boolean(req.session.userId);
+
+    // Same browser again (e.g. bounced through login): upgrade the earlier scan instead of adding one
+    const recentScans = Object.fromEntries(Object.entries(req.session.recentScans || {}).filter(([, r]) => Date.now() - r.at < SCAN_DEDUPE_MS));
+    const recent = recentScans[item.id];
+    if (recent) {
+      if (loggedIn && !recent.loggedIn) {
+        await supabase.from("item_scans").update({ logged_in: true }).eq("id", recent.id);
+        req.session.recentScans = { ...recentScans, [item.id]: { ...recent, loggedIn: true } };
+      }
+      return;
+    }
+
+    const { data: scan, error } = await supabase
+      .from("item_scans")
+      .insert({ item_id: item.id, logged_in: loggedIn, user_agent: describeUserAgent(req.get("user-agent")) })
+      .select("id, scanned_at, user_agent")
+      .maybeSingle();
+    if (error || !scan) {
+      console.error("Scan log insert error:", error);
+      return;
+    }
+    req.session.recentScans = { ...recentScans, [item.id]: { id: scan.id, at: Date.now(), loggedIn } };
+
+    if (item.item_status !== ITEM_STATUS.LOST) return;
+    const { data: lastAlert } = await supabase
+      .from("item_scans")
+      .select("id")
+      .eq("item_id", item.id)
+      .eq("alert_sent", true)
+      .gte("scanned_at", new Date(Date.now() - SCAN_ALERT_COOLDOWN_MS).toISOString())
+      .limit(1)
+      .maybeSingle();
+    if (lastAlert) return;
+
+    const { data: owner } = await supabase.from("users").select("email, full_name").eq("id", item.user_id).maybeSingle();
+    if (!owner?.email) return;
+    await supabase.from("item_scans").update({ alert_sent: true }).eq("id", scan.id);
+    await sendEmail(owner.email, `Your lost item was just scanned — ${item.item_name}`,
+      `<h2 style="margin:0 0 16px;font-size:1.2rem;">&#128241; Someone scanned your QR sticker</h2>
+       <p>Hi <strong>${owner.full_name || 'there'}</strong>,</p>
+       <p>The QR sticker on your lost item <strong>${item.item_name}</strong> was just scanned, so someone is likely holding it right now.</p>
+       <table style="width:100%;border-collapse:collapse;margin:16px 0;">
+         <tr><td style="padding:8px 12px;background:#f8f9fc;border-radius:6px 6px 0 0;color:#666;font-size:0.85rem;width:110px;">When</td><td style="padding:8px 12px;background:#f8f9fc;border-radius:0 6px 0 0;">${new Date(scan.scanned_at).toLocaleString("en-US", { timeZone: "Asia/Manila" })}</td></tr>
+         <tr><td style="padding:8px 12px;border-top:1px solid #eee;color:#666;font-size:0.85rem;">Scanner</td><td style="padding:8px 12px;border-top:1px solid #eee;">${loggedIn ? "Logged-in PUTrace user" : "Not logged in"}</td></tr>
+         <tr><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 0 6px;color:#666;font-size:0.85rem;">Device</td><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 6px 0;">${scan.user_agent}</td></tr>
+       </table>
+       <p>If they send a report you'll get another email. We won't email you about further scans of this item for the next 30 minutes.</p>
+       <p style="margin-top:20px;">
+         <a href="${BASE_URL}/dashboard" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">View Scan Log</a>
+       </p>`);
+  } catch (err) {
+    console.error("Scan logging error:", err);
+  }
+}
+
+// Email the item owner that a finder reported it from the QR page
+async function sendFoundReportEmail(item, report) {
+  const { data: owner } = await supabase.from("users").select("email, full_name").eq("id", item.user_id).single();
+  if (!owner?.email) return;
+  const [finder_name, finder_email, location_hint, message, itemName] =
+    [report.finder_name, report.finder_email, report.location_hint, report.message, item.item_name].map(escapeHtml);
+  const { is_guest } = report;
+  await sendEmail(owner.email, `Your item was found — ${item.item_name}`,
+    `<h2 style="margin:0 0 16px;font-size:1.2rem;">&#127881; Someone found your item!</h2>
+     <p>Hi <strong>${escapeHtml(owner.full_name) || 'there'}</strong>,</p>
+     <p><strong>${finder_name}</strong> (${finder_email}) scanned your QR sticker and reported finding your item <strong>${itemName}</strong>.${is_guest ? ' They don\'t have a PUTrace account, so your replies reach them by email.' : ''}</p>
+     <table style="width:100%;border-collapse:collapse;margin:16px 0;">
+       <tr><td style="padding:8px 12px;background:#f8f9fc;border-radius:6px 6px 0 0;color:#666;font-size:0.85rem;width:110px;">Found by</td><td style="padding:8px 12px;background:#f8f9fc;border-radius:0 6px 0 0;">${finder_name} &lt;${finder_email}&gt;${is_guest ? ' (guest)' : ''}</td></tr>
+       ${location_hint ? `<tr><td style="padding:8px 12px;border-top:1px solid #eee;color:#666;font-size:0.85rem;">Where</td><td style="padding:8px 12px;border-top:1px solid #eee;">${location_hint}</td></tr>` : ''}
+       <tr><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 0 6px;color:#666;font-size:0.85rem;">Message</td><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 6px 0;">${message}</td></tr>
+     </table>
+     <p style="margin-top:20px;">
+       <a href="${BASE_URL}/messages" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">View in Messages</a>
+     </p>`);
+}
+
+// Create a magic link that opens one guest report thread (and nothing else)
+async function issueGuestReportLink(reportId) {
+  const rawToken = generateToken();
+  const { error } = await supabase.from("guest_report_tokens").insert({
+    report_id: reportId,
+    token_hash: hashToken(rawToken),
+    expires_at: new Date(Date.now() + GUEST_LINK_TTL_MS).toISOString()
+  });
+  if (error) throw error;
+  return `${BASE_URL}/guest/reports/${reportId}?key=${rawToken}`;
+}
+
+async function sendGuestReportLinkEmail(report, itemName, link, intro) {
+  return sendEmail(report.finder_email, `Your conversation about ${itemName} — PUTrace`,
+    `<h2 style="margin:0 0 16px;font-size:1.2rem;">${escapeHtml(intro)}</h2>
+     <p>Hi <strong>${escapeHtml(report.finder_name) || 'there'}</strong>,</p>
+     <p>Use the button below to read and reply to the owner of <strong>${escapeHtml(itemName)}</strong>. No account needed.</p>
+     <p style="margin:20px 0;">
+       <a href="${link}" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">Open Conversation</a>
+     </p>
+     <p style="color:#888;font-size:0.87rem;">This link only opens this one conversation and expires in 14 days. Don't forward it.</p>`);
+}
+
+// Guest access to a single report thread, granted to this browser by a magic link
+async function getGuestReportContext(req, reportId) {
   const id = Number(reportId);
   if (!Number.isFinite(id)) return { error: "not_found" };
+  if (!(req.session.guestReportIds || []).includes(id)) return { error: "forbidden" };
 
   const { data: report } = await supabase
     .from("finder_reports")
-    .select("id, item_id, finder_name, finder_email, message, status, created_at")
+    .select("id, item_id, owner_user_id, finder_name, finder_email, message, status, is_guest, guest_last_read_message_id, created_at")
     .eq("id", id)
+    .eq("is_guest", true)
     .maybeSingle();
   if (!report) return { error: "not_found" };
 
   const { data: item } = await supabase.from("items").select("id, user_id, item_name, image_url, item_description, category").eq("id", report.item_id).maybeSingle();
   if (!item) return { error: "not_found" };
 
-  const { data: owner } = await supabase.from("users").select("id, full_name, email").eq("id", item.user_id).maybeSingle();
-  if (!owner) return { error: "not_found" };
+  const { data: owner } = await supabase.from("users").select("id, full_name").eq("id", getReportOwnerId(report, item)).maybeSingle();
+  return { report, item, owner };
+}
 
-  const currentUser = res.locals.currentUser || null;
-  if (!currentUser) return { error: "forbidden" };
+// Validate the return instructions / reward form used for both an item and the account defaults
+function parseReturnInfo(body) {
+  const values = {
+    active: sanitize(body.return_instructions_active),
+    lost: sanitize(body.return_instructions_lost),
+    reward: sanitize(body.reward_note)
+  };
+  if (values.active.length > 500 || values.lost.length > 500) return { error: "Return instructions must be 500 characters or fewer." };
+  if (values.reward.length > 200) return { error: "Reward note must be 200 characters or fewer." };
+  return { values };
+}
 
-  const currentEmail = String(currentUser.email || "").toLowerCase();
-  const finderEmail = String(report.finder_email || "").toLowerCase();
-  const isOwner = currentUser.id === item.user_id;
-  const isFinder = currentEmail === finderEmail;
+// What the QR page shows a finder: the item's own text for its current status, then the owner's
+// account default. Lost items fall back to the everyday text when no lost-specific text exists.
+function getReturnInfo(item, owner) {
+  const pick = (status) => item[`return_instructions_${status}`] || owner?.[`default_return_instructions_${status}`] || null;
+  return {
+    instructions: item.item_status === ITEM_STATUS.LOST ? (pick("lost") || pick("active")) : pick("active"),
+    reward: item.reward_note || owner?.default_reward_note || null
+  };
+}
 
-  if (!isOwner && !isFinder) return { error: "forbidden" };
-  return { report, item, owner, currentUser, isOwner, isFinder };
+// Lost item / found post matching.
+// Scores are 0–100 from category, name/description overlap, photo similarity, location and timing.
+// Pairs with neither text overlap nor a similar photo are never suggested, however well the rest lines up.
+
+const MATCH_STOPWORDS = new Set(["the", "and", "with", "for", "from", "has", "have", "its", "that", "this", "was", "color", "colour", "near", "inside", "item"]);
+
+function tokenizeForMatch(text) {
+  return [...new Set(String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 2 && !MATCH_STOPWORDS.has(w))
+    .map((w) => (w.length > 4 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w)))]; // crude plural folding
 }
 
-// Block access if not logged in
-function requireAuth(req, res, next) {
-  if (!req.session.userId) {
-    setFlash(req, "error", "Please log in to continue.");
-    const redirect = encodeURIComponent(req.originalUrl);
-    return res.redirect(`/login?redirect=${redirect}`);
-  }
-  next();
+// Sørensen–Dice coefficient over two token lists (0 = nothing shared, 1 = identical)
+function diceSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter((w) => setB.has(w)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+// lostEvent is the item's latest "marked lost" history entry (its note often says where it went missing);
+// photoDistance is the closest photo pair's hash distance, or null when either side has no photos
+function scoreMatch(item, post, lostEvent, photoDistance = null) {
+  const reasons = [];
+  const nameSim = diceSimilarity(tokenizeForMatch(item.item_name), tokenizeForMatch(post.item_name));
+  const textSim = diceSimilarity(
+    tokenizeForMatch(`${item.item_name} ${item.item_description || ""}`),
+    tokenizeForMatch(`${post.item_name} ${post.item_description || ""}`)
+  );
+  const textPoints = Math.round(35 * nameSim + 20 * textSim);
+  const photoPoints = photoDistance === null ? 0 : photoDistance <= PHOTO_MATCH_DISTANCE / 2 ? 35 : photoDistance <= PHOTO_MATCH_DISTANCE ? 20 : 0;
+  if (textPoints === 0 && photoPoints === 0) return { score: 0, reasons };
+  let score = textPoints + photoPoints;
+  if (photoPoints > 0) reasons.push(photoPoints === 35 ? "Very similar photo" : "Similar photo");
+  if (nameSim >= 0.5) reasons.push("Similar name");
+  else if (textPoints >= 10) reasons.push("Similar description");
+
+  if (item.category !== "Other" && item.category === post.category) {
+    score += 25;
+    reasons.push(`Same category (${item.category})`);
+  } else if (item.category !== "Other" && post.category !== "Other") {
+    score -= 15;
+  }
+
+  // Same directory building as where the owner lost it, or the place named in the description / lost note
+  const sameBuilding = Boolean(post.building_id) && post.building_id === item.lost_building_id;
+  const locationWords = tokenizeForMatch(post.location_found);
+  const itemWords = tokenizeForMatch(`${item.item_description || ""} ${lostEvent?.note || ""}`);
+  if (sameBuilding || locationWords.some((w) => itemWords.includes(w))) {
+    score += 10;
+    reasons.push(`Found at ${post.location_found}`);
+  }
+
+  // Owners often mark an item lost a few days late, so "found slightly before" still counts
+  const daysAfterLost = (new Date(post.found_at || post.created_at) - new Date(lostEvent?.created_at || item.created_at)) / 86400000;
+  if (daysAfterLost >= -7 && daysAfterLost <= 7) {
+    score += 15;
+    reasons.push("Found around when it went missing");
+  } else if (daysAfterLost > 7 && daysAfterLost <= 30) {
+    score += 8;
+  } else if (daysAfterLost < -14) {
+    score -= 20;
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+// Store scored pairs (keeping any earlier dismissal) and email owners about strong new matches
+async function saveMatches(pairs) {
+  if (pairs.length === 0) return;
+  const { data: saved, error } = await supabase
+    .from("item_matches")
+    .upsert(pairs.map((p) => ({ item_id: p.item.id, found_post_id: p.post.id, score: p.score, reasons: p.reasons.join(" · ") })), { onConflict: "item_id,found_post_id" })
+    .select("id, item_id, found_post_id, score, status, notified_at");
+  if (error) {
+    console.error("Save matches error:", error);
+    return;
+  }
+
+  const pairByKey = Object.fromEntries(pairs.map((p) => [`${p.item.id}:${p.post.id}`, p]));
+  const toNotify = (saved || []).filter((m) => m.score >= MATCH_NOTIFY_SCORE && !m.notified_at && m.status === MATCH_STATUS.SUGGESTED);
+  const ownerIds = [...new Set(toNotify.map((m) => pairByKey[`${m.item_id}:${m.found_post_id}`]?.item.user_id).filter(Boolean))];
+  if (ownerIds.length === 0) return;
+  const { data: owners } = await supabase.from("users").select("id, full_name, email").in("id", ownerIds);
+  const ownersById = Object.fromEntries((owners || []).map((u) => [u.id, u]));
+
+  for (const match of toNotify) {
+    const { item, post } = pairByKey[`${match.item_id}:${match.found_post_id}`] || {};
+    const owner = item && ownersById[item.user_id];
+    if (!owner?.email) continue;
+    try {
+      await sendEmail(owner.email, `Possible match for your lost item — ${item.item_name}`,
+        `<h2 style="margin:0 0 16px;font-size:1.2rem;">&#128269; This might be your ${item.item_name}</h2>
+         <p>Hi <strong>${owner.full_name || 'there'}</strong>,</p>
+         <p>Someone posted a found item on the Found Board that looks a lot like your lost <strong>${item.item_name}</strong>.</p>
+         <table style="width:100%;border-collapse:collapse;margin:16px 0;">
+           <tr><td style="padding:8px 12px;background:#f8f9fc;border-radius:6px 6px 0 0;color:#666;font-size:0.85rem;width:110px;">Found item</td><td style="padding:8px 12px;background:#f8f9fc;border-radius:0 6px 0 0;">${post.item_name}</td></tr>
+           ${post.location_found ? `<tr><td style="padding:8px 12px;border-top:1px solid #eee;color:#666;font-size:0.85rem;">Where</td><td style="padding:8px 12px;border-top:1px solid #eee;">${post.location_found}</td></tr>` : ''}
+           <tr><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 0 6px;color:#666;font-size:0.85rem;">Why</td><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 6px 0;">${match.score}% match · ${pairByKey[`${match.item_id}:${match.found_post_id}`].reasons.join(", ")}</td></tr>
+         </table>
+         <p style="margin-top:20px;">
+           <a href="${BASE_URL}/matches/${match.id}" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">Review &amp; Claim</a>
+         </p>`);
+      await supabase.from("item_matches").update({ notified_at: new Date().toISOString() }).eq("id", match.id);
+    } catch (emailErr) {
+      console.error("Match notification email failed:", emailErr);
+    }
+  }
+}
+
+// Once the owner claims a post, suggestions pairing it with their items are settled
+async function markMatchesClaimed(userId, foundPostId) {
+  try {
+    const { data: ownItems } = await supabase.from("items").select("id").eq("user_id", userId);
+    const ownItemIds = (ownItems || []).map((i) => i.id);
+    if (ownItemIds.length === 0) return;
+    await supabase.from("item_matches").update({ status: MATCH_STATUS.CLAIMED }).eq("found_post_id", foundPostId).in("item_id", ownItemIds);
+  } catch (err) {
+    console.error("Mark matches claimed error:", err);
+  }
+}
+
+// A new found post against every lost item (except the finder's own)
+async function matchFoundPost(post) {
+  try {
+    let lostQuery = supabase
+      .from("items")
+      .select("id, user_id, item_name, item_description, category, lost_building_id, created_at")
+      .eq("item_status", ITEM_STATUS.LOST);
+    if (post.finder_user_id) lostQuery = lostQuery.neq("user_id", post.finder_user_id); // office intakes have no finder account
+    const { data: lostItems } = await lostQuery;
+    const items = lostItems || [];
+    const itemIds = items.map((i) => i.id);
+    const [lostEvents, itemHashes, postHashes] = await Promise.all([
+      getLatestLostEvents(itemIds),
+      getPhotoHashes("item", itemIds),
+      getPhotoHashes("found", [post.id])
+    ]);
+    const pairs = items
+      .map((item) => ({ item, post, ...scoreMatch(item, post, lostEvents[item.id], closestPhotoDistance(itemHashes[item.id], postHashes[post.id])) }))
+      .filter((p) => p.score >= MATCH_MIN_SCORE);
+    await saveMatches(pairs);
+  } catch (err) {
+    console.error("Match found post error:", err);
+  }
+}
+
+// An item that was just marked lost against recent, still-open found posts
+async function matchLostItem(item) {
+  try {
+    const { data: openPosts } = await supabase
+      .from("found_posts")
+      .select("id, finder_user_id, item_name, item_description, category, location_found, building_id, found_at, created_at")
+      .in("status", FOUND_POST_OPEN_STATUSES)
+      .gte("created_at", new Date(Date.now() - MATCH_LOOKBACK_DAYS * 86400000).toISOString());
+    const candidates = (openPosts || []).filter((post) => post.finder_user_id !== item.user_id);
+    const [lostEvents, itemHashes, postHashes] = await Promise.all([
+      getLatestLostEvents([item.id]),
+      getPhotoHashes("item", [item.id]),
+      getPhotoHashes("found", candidates.map((p) => p.id))
+    ]);
+    const pairs = candidates
+      .map((post) => ({ item, post, ...scoreMatch(item, post, lostEvents[item.id], closestPhotoDistance(itemHashes[item.id], postHashes[post.id])) }))
+      .filter((p) => p.score >= MATCH_MIN_SCORE);
+    await saveMatches(pairs);
+  } catch (err) {
+    console.error("Match lost item error:", err);
+  }
+}
+
+// Saved Found Board searches: every new found post is checked against the active ones and their owners emailed.
+// Keywords must all appear (same plural folding as the matcher); category, building, location and date window narrow further.
+function savedSearchMatchesPost(saved, post) {
+  if (saved.category && saved.category !== post.category) return false;
+  if (saved.building_id && saved.building_id !== post.building_id) return false;
+  // Keywords or a location with no matchable words ("ID", "5F") can't narrow anything, so they count as absent
+  const keywordWords = tokenizeForMatch(saved.keywords);
+  const locationWords = tokenizeForMatch(saved.location);
+  // Nothing left to narrow by (say its building was deleted): alert on nothing rather than every post
+  if (keywordWords.length === 0 && locationWords.length === 0 && !saved.category && !saved.building_id) return false;
+  const postWords = tokenizeForMatch(`${post.item_name} ${post.item_description || ""} ${post.category || ""} ${post.location_found || ""}`);
+  if (keywordWords.length > 0 && !keywordWords.every((w) => postWords.includes(w))) return false;
+  if (locationWords.length > 0) {
+    const placeWords = tokenizeForMatch(post.location_found);
+    if (!locationWords.some((w) => placeWords.includes(w))) return false;
+  }
+  const foundDay = new Date(post.found_at || post.created_at).toLocaleDateString("en-CA", { timeZone: "Asia/Manila" });
+  if (saved.found_from && foundDay < saved.found_from) return false;
+  if (saved.found_to && foundDay > saved.found_to) return false;
+  return true;
+}
+
+// Short human summary of a saved search ("umbrella · Bags · in Library · found Oct 1 – Oct 5");
+// the building name comes from the campus_buildings(name) embed
+function describeSavedSearch(saved) {
+  const day = (value) => new Date(`${value}T00:00:00+08:00`).toLocaleDateString("en-US", { timeZone: "Asia/Manila", month: "short", day: "numeric" });
+  const parts = [];
+  if (saved.keywords) parts.push(`"${saved.keywords}"`);
+  if (saved.category) parts.push(saved.category);
+  if (saved.campus_buildings?.name) parts.push(`in ${saved.campus_buildings.name}`);
+  if (saved.location) parts.push(`near ${saved.location}`);
+  if (saved.found_from && saved.found_to) parts.push(`found ${day(saved.found_from)} – ${day(saved.found_to)}`);
+  else if (saved.found_from) parts.push(`found since ${day(saved.found_from)}`);
+  else if (saved.found_to) parts.push(`found before ${day(saved.found_to)}`);
+  return parts.join(" · ") || "Any found item";
+}
+
+async function alertSavedSearches(post) {
+  try {
+    const now = new Date().toISOString();
+    await supabase.from("saved_searches").delete().lt("expires_at", now);
+    let activeQuery = supabase
+      .from("saved_searches")
+      .select("id, user_id, keywords, category, building_id, location, found_from, found_to, expires_at, campus_buildings(name)")
+      .gt("expires_at", now);
+    if (post.finder_user_id) activeQuery = activeQuery.neq("user_id", post.finder_user_id);
+    const { data: active } = await activeQuery;
+    const hits = (active || []).filter((saved) => savedSearchMatchesPost(saved, post));
+    if (hits.length === 0) return;
+
+    const { data: owners } = await supabase.from("users").select("id, full_name, email").in("id", [...new Set(hits.map((h) => h.user_id))]);
+    const ownersById = Object.fromEntries((owners || []).map((u) => [u.id, u]));
+    const alerted = new Set();
+    for (const saved of hits) {
+      const owner = ownersById[saved.user_id];
+      if (!owner?.email || alerted.has(owner.id)) continue; // one email per person, even if several searches match
+      alerted.add(owner.id);
+      try {
+        await sendEmail(owner.email, `New found item matches your saved search — ${post.item_name}`,
+          `<h2 style="margin:0 0 16px;font-size:1.2rem;">&#128276; New match on the Found Board</h2>
+           <p>Hi <strong>${owner.full_name || 'there'}</strong>,</p>
+           <p>Someone just posted <strong>${post.item_name}</strong>${post.location_found ? ` (found at ${post.location_found})` : ''}, which matches your saved search <strong>${describeSavedSearch(saved)}</strong>.</p>
+           <p style="margin-top:20px;">
+             <a href="${BASE_URL}/found-items?search=${encodeURIComponent(post.item_name)}" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">View on Found Board</a>
+           </p>
+           <p style="color:#888;font-size:0.85rem;">This alert runs until ${new Date(saved.expires_at).toLocaleDateString("en-US", { timeZone: "Asia/Manila", month: "long", day: "numeric" })}. Manage your saved searches on your <a href="${BASE_URL}/account">account page</a>.</p>`);
+      } catch (emailErr) {
+        console.error("Saved search email failed:", emailErr);
+      }
+    }
+    await supabase.from("saved_searches").update({ last_alerted_at: now }).in("id", hits.filter((h) => alerted.has(h.user_id)).map((h) => h.id));
+  } catch (err) {
+    console.error("Saved search alert error:", err);
+  }
+}
+
+// The one-time "get alerts for this lost item" prompt (cleared once shown)
+function takeSavedSearchSuggestion(req) {
+  const suggestion = req.session.savedSearchSuggestion || null;
+  delete req.session.savedSearchSuggestion;
+  return suggestion;
+}
+
+// Validated saved-search fields from a form, or an error message
+function parseSavedSearch(body, categoryNames) {
+  const values = {
+    keywords: sanitize(body.search || body.keywords),
+    category: categoryNames.includes(body.category) ? body.category : "",
+    building_id: Number(body.building) || null,
+    location: sanitize(body.location),
+    found_from: isDateInput(body.from) ? body.from : "",
+    found_to: isDateInput(body.to) ? body.to : ""
+  };
+  if (values.keywords.length > 200) return { error: "Keywords must be 200 characters or fewer." };
+  if (values.location.length > 150) return { error: "Location must be 150 characters or fewer." };
+  if (values.keywords && tokenizeForMatch(values.keywords).length === 0) return { error: "Keywords are too short or common to match anything — add a more specific word." };
+  if (values.location && tokenizeForMatch(values.location).length === 0) return { error: "Location is too short or common to match anything — add a more specific word." };
+  if (!values.keywords && !values.category && !values.building_id && !values.location) return { error: "Add keywords, a category, a building or a location to save a search." };
+  if (values.found_from && values.found_to && values.found_from > values.found_to) return { error: "The date range ends before it starts." };
+  return { values };
+}
+
+// Campus location directory: admin-managed buildings, each with optional floor/room places.
+// Location fields submit the picked label (or whatever was typed); it resolves to a directory entry by label
+// or alias, ignoring case and punctuation ("lib", "LRC" and "Library · 2F" all work), otherwise it stays free text.
+
+function normalizeLocationKey(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// "LRC, lib, library" → ["LRC", "lib", "library"]
+function parseAliases(value) {
+  return [...new Set(String(value || "").split(",").map((a) => sanitize(a)).filter(Boolean))].slice(0, MAX_LOCATION_ALIASES);
+}
+
+function campusPlaceLabel(building, place) {
+  return [building.name, place?.floor, place?.room].filter(Boolean).join(" · ");
+}
+
+// Buildings (by name) with their places, plus a flat list of picker entries:
+// { label, aliases, building_id, location_id } — location_id is null for a whole building
+async function getCampusDirectory() {
+  const [{ data: buildingRows }, { data: placeRows }] = await Promise.all([
+    supabase.from("campus_buildings").select("id, name, aliases").order("name"),
+    supabase.from("campus_locations").select("id, building_id, floor, room, aliases").order("floor").order("room")
+  ]);
+  const buildings = (buildingRows || []).map((b) => ({
+    ...b,
+    places: (placeRows || []).filter((p) => p.building_id === b.id).map((p) => ({ ...p, label: campusPlaceLabel(b, p) }))
+  }));
+  const entries = buildings.flatMap((b) => [
+    { label: b.name, aliases: b.aliases || [], building_id: b.id, location_id: null },
+    ...b.places.map((p) => ({ label: p.label, aliases: p.aliases || [], building_id: b.id, location_id: p.id }))
+  ]);
+  return { buildings, entries };
+}
+
+// The directory entry a submitted location names, or null when it is free text
+function resolveCampusLocation(entries, text) {
+  const key = normalizeLocationKey(text);
+  if (!key) return null;
+  return entries.find((e) => normalizeLocationKey(e.label) === key)
+    || entries.find((e) => e.aliases.some((a) => normalizeLocationKey(a) === key))
+    || null;
+}
+
+// A picker field (`field`) plus its optional `${field}_detail`, as the stored text and directory ids
+function readPickedLocation(entries, body, field) {
+  const place = sanitize(body[field]);
+  const detail = sanitize(body[`${field}_detail`]).slice(0, MAX_LOCATION_DETAIL_LENGTH);
+  const entry = resolveCampusLocation(entries, place);
+  return {
+    text: [entry ? entry.label : place, detail].filter(Boolean).join(" — "),
+    building_id: entry?.building_id || null,
+    campus_location_id: entry?.location_id || null
+  };
+}
+
+// A building id from a filter/select value, only if it is in the directory
+function pickBuildingId(buildings, value) {
+  const id = Number(value);
+  return buildings.some((b) => b.id === id) ? id : null;
+}
+
+// Hotspot analytics: each found post (when it was found) and each finder/sighting report (when it was sent) is one
+// event, placed at its directory place or building when known, otherwise at its free-text location.
+// Older free-text locations that exactly name a directory entry ("lib") are counted under that entry.
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+async function getHotspotEvents({ from, to, source }) {
+  const start = new Date(`${from}T00:00:00+08:00`).toISOString();
+  const end = new Date(`${to}T23:59:59.999+08:00`).toISOString();
+  const [directory, posts, reports] = await Promise.all([
+    getCampusDirectory(),
+    source === "reports" ? [] : fetchAllRows(() => supabase
+      .from("found_posts")
+      .select("id, category, location_found, building_id, campus_location_id, found_at, created_at")
+      .or(foundDateRangeFilter(from, to))
+      .order("id")),
+    source === "found" ? [] : fetchAllRows(() => supabase
+      .from("finder_reports")
+      .select("id, location_hint, building_id, campus_location_id, message, created_at, items(category)")
+      .gte("created_at", start)
+      .lte("created_at", end)
+      .order("id"))
+  ]);
+
+  const buildingNames = Object.fromEntries(directory.buildings.map((b) => [b.id, b.name]));
+  const placeLabels = Object.fromEntries(directory.entries.filter((e) => e.location_id).map((e) => [e.location_id, e.label]));
+  const toEvent = (sourceLabel, at, category, text, buildingId, locationId) => {
+    const entry = buildingId ? null : resolveCampusLocation(directory.entries, text);
+    const building_id = buildingId || entry?.building_id || null;
+    const location_id = locationId || entry?.location_id || null;
+    const local = new Date(new Date(at).getTime() + 8 * 3600000); // Manila wall clock (no daylight saving)
+    return {
+      source: sourceLabel,
+      at,
+      day: local.toISOString().slice(0, 10),
+      weekday: local.getUTCDay(),
+      hour: local.getUTCHours(),
+      category: category || "Other",
+      building: buildingNames[building_id] || null,
+      location: placeLabels[location_id] || buildingNames[building_id] || sanitize(text) || null
+    };
+  };
+
+  return [
+    ...posts.map((p) => toEvent("Found post", p.found_at || p.created_at, p.category, p.location_found, p.building_id, p.campus_location_id)),
+    ...reports.map((r) => toEvent(
+      String(r.message || "").startsWith("[Sighting]") ? "Sighting" : "Finder report",
+      r.created_at, r.items?.category, r.location_hint, r.building_id, r.campus_location_id
+    ))
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// [{ key, count }] busiest first; events whose key is null are left out
+function tallyBy(events, keyOf) {
+  const counts = new Map();
+  for (const event of events) {
+    const key = keyOf(event);
+    if (key !== null) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts].map(([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count);
+}
+
+// Counts per hotspot, building, category, weekday, hour and over time for the analytics page
+function summarizeHotspots(events, from, to) {
+  // "Library 2F" and "library 2f" are one place; the first spelling seen is the one shown
+  const locationLabels = {};
+  for (const e of events) {
+    const key = normalizeLocationKey(e.location);
+    if (key && !locationLabels[key]) locationLabels[key] = e.location;
+  }
+  const hotspots = tallyBy(events, (e) => normalizeLocationKey(e.location) || null)
+    .slice(0, ANALYTICS_TOP_HOTSPOTS)
+    .map(({ key, count }) => {
+      const here = events.filter((e) => normalizeLocationKey(e.location) === key);
+      const [busiestDay] = tallyBy(here, (e) => e.weekday);
+      const [busiestHour] = tallyBy(here, (e) => e.hour);
+      const [topCategory] = tallyBy(here, (e) => e.category);
+      return { location: locationLabels[key], count, busiestDay: WEEKDAY_NAMES[busiestDay.key], busiestHour: busiestHour.key, topCategory: topCategory.key };
+    });
+
+  // Weekly buckets (starting Monday) for up to half a year, monthly beyond that
+  const spanDays = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000;
+  const byMonth = spanDays > 182;
+  const bucketOf = (day) => {
+    if (byMonth) return `${day.slice(0, 7)}-01`;
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+  };
+  const trendCounts = Object.fromEntries(tallyBy(events, (e) => bucketOf(e.day)).map(({ key, count }) => [key, count]));
+  const trend = [];
+  for (let bucket = bucketOf(from); bucket <= to; ) {
+    trend.push({ start: bucket, count: trendCounts[bucket] || 0 });
+    const next = new Date(`${bucket}T00:00:00Z`);
+    if (byMonth) next.setUTCMonth(next.getUTCMonth() + 1);
+    else next.setUTCDate(next.getUTCDate() + 7);
+    bucket = next.toISOString().slice(0, 10);
+  }
+
+  const weekdayCounts = Object.fromEntries(tallyBy(events, (e) => e.weekday).map(({ key, count }) => [key, count]));
+  const hourCounts = Object.fromEntries(tallyBy(events, (e) => e.hour).map(({ key, count }) => [key, count]));
+  return {
+    total: events.length,
+    bySource: tallyBy(events, (e) => e.source),
+    hotspots,
+    byBuilding: tallyBy(events, (e) => e.building || "Not in the directory"),
+    byCategory: tallyBy(events, (e) => e.category),
+    byWeekday: [1, 2, 3, 4, 5, 6, 0].map((d) => ({ label: WEEKDAY_NAMES[d], count: weekdayCounts[d] || 0 })), // campus week starts Monday
+    byHour: Array.from({ length: 24 }, (_, hour) => ({ hour, count: hourCounts[hour] || 0 })),
+    trend,
+    trendUnit: byMonth ? "month" : "week"
+  };
+}
+
+// Found post turnover: unclaimed posts go to the lost-and-found office, then off the board.
+// Each step is stamped on the post (turnover_reminded_at, turnover_requested_at, surrendered_at,
+// archive_reminded_at, archived_at), so a sweep that runs twice never emails twice.
+
+// Drop posts someone has an open or completed claim on; those are already on their way back
+async function withoutActiveClaims(posts) {
+  if (posts.length === 0) return posts;
+  const { data: claims } = await supabase
+    .from("found_claims")
+    .select("found_post_id")
+    .in("found_post_id", posts.map((p) => p.id))
+    .in("status", ["open", "returned"]);
+  const claimed = new Set((claims || []).map((c) => c.found_post_id));
+  return posts.filter((p) => !claimed.has(p.id));
+}
+
+async function sendTurnoverEmail(post, subject, heading, bodyHtml) {
+  if (!post.finder_email) return;
+  try {
+    await sendEmail(post.finder_email, subject,
+      `<h2 style="margin:0 0 16px;font-size:1.2rem;">${heading}</h2>
+       <p>Hi <strong>${post.finder_name || 'there'}</strong>,</p>
+       ${bodyHtml}
+       <p style="margin-top:20px;">
+         <a href="${BASE_URL}/dashboard" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">Open Dashboard</a>
+       </p>`);
+  } catch (emailErr) {
+    console.error("Turnover email failed:", emailErr);
+  }
+}
+
+async function sweepFoundPostTurnover() {
+  try {
+    const now = new Date();
+    const daysAgo = (days) => new Date(now.getTime() - days * 86400000).toISOString();
+    const columns = "id, item_name, finder_name, finder_email, created_at, surrendered_at";
+
+    // Due: ask the finder to hand it in (posts already overdue skip straight here, without the early reminder)
+    const { data: due } = await supabase
+      .from("found_posts")
+      .select(columns)
+      .eq("status", "unclaimed")
+      .is("turnover_requested_at", null)
+      .lte("created_at", daysAgo(FOUND_POST_TURNOVER_DAYS));
+    for (const post of await withoutActiveClaims(due || [])) {
+      await sendTurnoverEmail(post, `Please hand in ${post.item_name} to the lost-and-found office`, "&#128230; Time to hand it in",
+        `<p>Nobody has claimed the <strong>${post.item_name}</strong> you posted on the Found Board ${FOUND_POST_TURNOVER_DAYS} days ago.</p>
+         <p>Please bring it to <strong>${LOST_AND_FOUND_OFFICE}</strong>, then tap <em>I've handed it in</em> on your dashboard. The post stays on the board so the owner can still find it there.</p>`);
+      await supabase.from("found_posts").update({ turnover_requested_at: now.toISOString() }).eq("id", post.id);
+    }
+
+    // A few days before that, a heads-up
+    const { data: soonDue } = await supabase
+      .from("found_posts")
+      .select(columns)
+      .eq("status", "unclaimed")
+      .is("turnover_requested_at", null)
+      .is("turnover_reminded_at", null)
+      .lte("created_at", daysAgo(FOUND_POST_TURNOVER_DAYS - FOUND_POST_REMINDER_DAYS));
+    for (const post of await withoutActiveClaims(soonDue || [])) {
+      await sendTurnoverEmail(post, `Still unclaimed — ${post.item_name}`, "&#9203; Still waiting for its owner",
+        `<p>The <strong>${post.item_name}</strong> you posted hasn't been claimed yet. If nobody claims it in the next ${FOUND_POST_REMINDER_DAYS} days, we'll ask you to hand it in to <strong>${LOST_AND_FOUND_OFFICE}</strong>.</p>`);
+      await supabase.from("found_posts").update({ turnover_reminded_at: now.toISOString() }).eq("id", post.id);
+    }
+
+    const { data: soonArchived } = await supabase
+      .from("found_posts")
+      .select(columns)
+      .eq("status", "surrendered")
+      .not("finder_user_id", "is", null) // office intakes have no finder to thank
+      .is("archive_reminded_at", null)
+      .lte("surrendered_at", daysAgo(FOUND_POST_ARCHIVE_DAYS - FOUND_POST_REMINDER_DAYS));
+    for (const post of soonArchived || []) {
+      await sendTurnoverEmail(post, `Leaving the Found Board soon — ${post.item_name}`, "&#128452; Archiving soon",
+        `<p>The <strong>${post.item_name}</strong> you handed in to ${LOST_AND_FOUND_OFFICE} will be archived off the Found Board in ${FOUND_POST_REMINDER_DAYS} days. Thanks for turning it in!</p>`);
+      await supabase.from("found_posts").update({ archive_reminded_at: now.toISOString() }).eq("id", post.id);
+    }
+
+    // Surrendered long enough: archive off the board, but only once the finder has had their reminder
+    // for its full notice period (a sweep that missed the window sends the reminder first, above)
+    await supabase
+      .from("found_posts")
+      .update({ status: "archived", archived_at: now.toISOString() })
+      .eq("status", "surrendered")
+      .lte("surrendered_at", daysAgo(FOUND_POST_ARCHIVE_DAYS))
+      .or(`archive_reminded_at.lte.${daysAgo(FOUND_POST_REMINDER_DAYS)},finder_user_id.is.null`);
+  } catch (err) {
+    console.error("Found post turnover sweep error:", err);
+  }
+}
+
+// Move an unclaimed post to the office (by its finder, or an admin confirming receipt)
+async function surrenderFoundPost(postId, userId) {
+  const { data, error } = await supabase
+    .from("found_posts")
+    .update({ status: "surrendered", surrendered_at: new Date().toISOString(), surrendered_by: userId })
+    .eq("id", postId)
+    .eq("status", "unclaimed")
+    .select("id, item_name")
+    .maybeSingle();
+  return error ? null : data;
+}
+
+// Read the found-post form shared by the Found Board and the office intake desk.
+// Returns { error } or { fields } ready to insert into found_posts.
+function readFoundPostForm(body, entries, categoryNames) {
+  const item_name = sanitize(body.item_name);
+  const item_description = sanitize(body.item_description);
+  const { text: location_found, building_id, campus_location_id } = readPickedLocation(entries, body, "location_found");
+
+  // Separate date and time fields; the time is optional
+  const found_date_raw = (body.found_date || "").trim();
+  const found_time_raw = (body.found_time || "").trim();
+  let found_at = null;
+  if (found_date_raw) {
+    const foundDate = new Date(found_time_raw ? `${found_date_raw}T${found_time_raw}` : `${found_date_raw}T00:00`);
+    if (Number.isNaN(foundDate.getTime())) return { error: "Please provide a valid date/time for when you found the item." };
+    found_at = foundDate.toISOString();
+  }
+
+  if (!item_name || item_name.length > 150) return { error: "Item name is required (max 150 chars)." };
+  if (!location_found) return { error: "Please specify where you found the item." };
+
+  return {
+    fields: {
+      item_name,
+      item_description: item_description || null,
+      category: normalizeCategory(body.category, categoryNames),
+      location_found,
+      building_id,
+      campus_location_id,
+      found_at
+    }
+  };
+}
+
+// ── Lost-and-found office custody ──
+// A found post with office_id is held at that office: its custodians answer claims instead of the
+// student who found it, and every intake, handoff and release is kept in custody_events.
+
+// Found posts whose claims the logged-in user answers: their own posts no office has taken in, plus those held at their office
+function heldFoundPostsQuery(req, res, columns) {
+  const query = supabase.from("found_posts").select(columns);
+  return res.locals.custodianOfficeId
+    ? query.or(`and(finder_user_id.eq.${req.session.userId},office_id.is.null),office_id.eq.${res.locals.custodianOfficeId}`)
+    : query.eq("finder_user_id", req.session.userId).is("office_id", null);
+}
+
+// Once an office holds a post only its custodians act on it; before that, the student who posted it
+function canManageFoundPost(req, res, post) {
+  if (post.office_id) return post.office_id === res.locals.custodianOfficeId;
+  return post.finder_user_id === req.session.userId;
+}
+
+// Claim threads are open to the claimer and whoever manages the post: the finder, or once an office
+// holds it, only that office's custodians
+function canJoinFoundClaim(req, res, post, claim) {
+  return claim.claimer_user_id === req.session.userId || canManageFoundPost(req, res, post);
+}
+
+// Who hears about new claims: every custodian of the holding office, or the finder
+async function getFoundPostContacts(post) {
+  if (!post.office_id) return post.finder_email ? [{ name: post.finder_name, email: post.finder_email }] : [];
+  const { data: custodians } = await supabase.from("users").select("full_name, email").eq("custodian_office_id", post.office_id);
+  return (custodians || []).map((u) => ({ name: u.full_name, email: u.email }));
+}
+
+async function getCustodyOffice(officeId) {
+  const { data } = await supabase.from("custody_offices").select("id, name, location, office_hours").eq("id", officeId).maybeSingle();
+  return data || null;
+}
+
+// Append a step to a post's chain of custody; a failed insert is logged, never fatal
+async function recordCustodyEvent(entry) {
+  const { error } = await supabase.from("custody_events").insert(entry);
+  if (error) console.error("Custody event insert error:", error);
+}
+
+// A post's chain of custody (oldest first) with office and staff names filled in
+async function getCustodyTimeline(postId) {
+  const { data: rows } = await supabase
+    .from("custody_events")
+    .select("id, event_type, office_id, recorded_by, received_from, received_by, storage_location, released_to_user_id, released_to_name, id_type, id_last4, note, created_at, custody_offices(name)")
+    .eq("found_post_id", postId)
+    .order("created_at", { ascending: true });
+  const events = rows || [];
+
+  const userIds = [...new Set(events.flatMap((e) => [e.recorded_by, e.released_to_user_id]).filter(Boolean))];
+  let namesById = {};
+  if (userIds.length > 0) {
+    const { data: users } = await supabase.from("users").select("id, full_name").in("id", userIds);
+    namesById = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
+  }
+  return events.map((e) => ({
+    ...e,
+    office_name: e.custody_offices?.name || "Former office",
+    recorded_by_name: namesById[e.recorded_by] || "Former staff",
+    released_to: namesById[e.released_to_user_id] || e.released_to_name || "Unknown"
+  }));
+}
+
+// ── Live thread updates (Server-Sent Events) ──
+
+// Open chat streams keyed "report:<id>" / "claim:<id>", each a Set of { res, viewer, serialize, onMessage }.
+// They live in this process's memory; pages fall back to the poll endpoints when a stream drops.
+const threadStreams = new Map();
+
+// Hold the response open as an event stream for one thread until the browser goes away
+function openThreadStream(req, res, key, subscriber) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // don't let a proxy buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${THREAD_STREAM_RETRY_MS}\n\n`);
+
+  const entry = { res, ...subscriber };
+  if (!threadStreams.has(key)) threadStreams.set(key, new Set());
+  threadStreams.get(key).add(entry);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), THREAD_STREAM_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const subscribers = threadStreams.get(key);
+    if (!subscribers) return;
+    subscribers.delete(entry);
+    if (subscribers.size === 0) threadStreams.delete(key);
+  });
+}
+
+function sendThreadEvent(entry, event, data) {
+  entry.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Push a new message (a DB row plus sender_name) to everyone watching; each viewer gets their own is_me
+function publishThreadMessage(key, message) {
+  for (const entry of threadStreams.get(key) || []) {
+    sendThreadEvent(entry, "message", entry.serialize(message));
+    if (entry.onMessage) entry.onMessage(message);
+  }
+}
+
+// Push an edited or unsent message so open pages can redraw it in place
+function publishThreadUpdate(key, message) {
+  for (const entry of threadStreams.get(key) || []) sendThreadEvent(entry, "update", entry.serialize(message));
+}
+
+// Push a status change or a typing notice; the typist's own tabs are skipped via exceptViewer
+function publishThreadEvent(key, event, data, exceptViewer = null) {
+  for (const entry of threadStreams.get(key) || []) {
+    if (entry.viewer !== exceptViewer) sendThreadEvent(entry, event, data);
+  }
+}
+
+// A returned post closes every claim thread on it
+async function publishFoundPostReturned(postId) {
+  const { data: claims } = await supabase.from("found_claims").select("id").eq("found_post_id", postId);
+  for (const claim of claims || []) publishThreadEvent(`claim:${claim.id}`, "status", { status: "returned" });
+}
+
+// Move a reader's marker up to messageId and tell the other side's open pages ("Seen").
+// userId null is the report's guest finder, whose marker lives on the report row.
+async function markThreadRead(kind, threadId, userId, messageId) {
+  if (!messageId) return;
+  if (userId) {
+    await supabase.rpc("mark_thread_read", { thread_kind: kind, thread_id: threadId, reader_id: userId, message_id: messageId });
+  } else {
+    await supabase
+      .from("finder_reports")
+      .update({ guest_last_read_message_id: messageId })
+      .eq("id", threadId)
+      .or(`guest_last_read_message_id.is.null,guest_last_read_message_id.lt.${messageId}`);
+  }
+  publishThreadEvent(`${kind}:${threadId}`, "read", { message_id: messageId }, userId ? `user:${userId}` : "guest");
+}
+
+// The viewer's markers for a set of threads: { threadId: lastReadMessageId }
+async function getReadMarkers(kind, threadIds, userId) {
+  if (threadIds.length === 0) return {};
+  const { readsTable, column } = CHAT_THREADS[kind];
+  const { data } = await supabase.from(readsTable).select(`${column}, last_read_message_id`).eq("user_id", userId).in(column, threadIds);
+  return Object.fromEntries((data || []).map((r) => [r[column], r.last_read_message_id]));
+}
+
+// The newest message anyone else in the thread has seen; the page shows "Seen" under the viewer's messages up to it.
+// Report threads with a guest finder also count the guest's marker (unless the guest is the one asking).
+async function getSeenUpTo(kind, threadId, userId, guestMarker = null) {
+  const { readsTable, column } = CHAT_THREADS[kind];
+  let query = supabase.from(readsTable).select("last_read_message_id").eq(column, threadId);
+  if (userId) query = query.neq("user_id", userId);
+  const { data } = await query.order("last_read_message_id", { ascending: false }).limit(1).maybeSingle();
+  const guestSeen = userId ? Number(guestMarker) || 0 : 0;
+  return Math.max(data?.last_read_message_id || 0, guestSeen);
+}
+
+// Look up a replaced QR token that should still show the "label no longer valid" notice
+async function getRetiredLabel(token) {
+  const { data } = await supabase
+    .from("retired_item_tokens")
+    .select("id, retired_at")
+    .eq("token", String(token || ""))
+    .eq("show_notice", true)
+    .maybeSingle();
+  return data || null;
+}
+
+// Ensure logged-in user can access the report thread (item owner or finder email match)
+async function getAccessibleReportContext(req, res, reportId) {
+  const id = Number(reportId);
+  if (!Number.isFinite(id)) return { error: "not_found" };
+
+  const { data: report } = await supabase
+    .from("finder_reports")
+    .select("id, item_id, owner_user_id, finder_name, finder_email, message, status, is_guest, guest_last_read_message_id, created_at")
+    .eq("id", id)
+    .maybeSingle();
+  if (!report) return { error: "not_found" };
+
+  const { data: item } = await supabase.from("items").select("id, user_id, item_name, image_url, item_description, category").eq("id", report.item_id).maybeSingle();
+  if (!item) return { error: "not_found" };
+
+  const { data: owner } = await supabase.from("users").select("id, full_name, email").eq("id", getReportOwnerId(report, item)).maybeSingle();
+  if (!owner) return { error: "not_found" };
+
+  const currentUser = res.locals.currentUser || null;
+  if (!currentUser) return { error: "forbidden" };
+
+  const currentEmail = String(currentUser.email || "").toLowerCase();
+  const finderEmail = String(report.finder_email || "").toLowerCase();
+  const isOwner = currentUser.id === owner.id;
+  const isFinder = currentEmail === finderEmail;
+
+  if (!isOwner && !isFinder) return { error: "forbidden" };
+  return { report, item, owner, currentUser, isOwner, isFinder };
+}
+
+// Block access if not logged in
+function requireAuth(req, res, next) {
+  if (!req.session.userId) {
+    setFlash(req, "error", "Please log in to continue.");
+    const redirect = encodeURIComponent(req.originalUrl);
+    return res.redirect(`/login?redirect=${redirect}`);
+  }
+  next();
 }
 
 // Block access if not an admin
@@ -470,6 +2259,13 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+// Block access if not a custodian at a lost-and-found office
+function requireCustodian(req, res, next) {
+  if (!req.session.userId) return res.redirect("/login");
+  if (!res.locals.custodianOfficeId) return res.status(403).send("Forbidden");
+  next();
+}
+
 // ── Home Page ──
 
 app.get("/", (req, res) => res.render("home"));
@@ -892,32 +2688,29 @@ app.get("/dashboard", requireAuth, async (req, res) => {
     const search = (req.query.search || "").trim();
     const filterCategory = req.query.category || "";
     const filterStatus = req.query.status || "";
+    const categories = await getCategories();
 
-    // Get all items belonging to this user
+    // Get all items belonging to this user (only the search hits when searching)
+    const hits = await searchBoard("search_items", search, {
+      owner_id: req.session.userId,
+      status_filter: filterStatus || null,
+      category_filter: filterCategory || null
+    });
     let query = supabase.from("items").select("*").eq("user_id", req.session.userId).order("created_at", { ascending: false });
     if (filterCategory) query = query.eq("category", filterCategory);
     if (filterStatus) query = query.eq("item_status", filterStatus);
-    const { data: items } = await query;
+    if (hits) query = query.in("id", hits.map((h) => h.id));
+    const { data: items } = hits && hits.length === 0 ? { data: [] } : await query;
 
-    // Filter by search text
-    const filteredItems = filterBySearch(items, search, ["item_name", "item_description", "category"]);
+    const filteredItems = await attachPhotos("item", applySearchRanking(items, hits));
 
-    // Get finder reports for these items
+    // Get finder reports for these items (plus reports kept after transferring an item away)
     const itemIds = filteredItems.map((i) => i.id);
-    let reports = [];
-    if (itemIds.length > 0) {
-      const { data } = await supabase
-        .from("finder_reports")
-        .select("id, item_id, finder_name, finder_email, location_hint, message, status, created_at")
-        .in("item_id", itemIds)
-        .order("created_at", { ascending: false });
-      reports = data || [];
-    }
+    const { data: reportRows } = await ownedReportsQuery(req.session.userId, itemIds, "id, item_id, owner_user_id, finder_name, finder_email, location_hint, message, status, created_at")
+      .order("created_at", { ascending: false });
+    const reports = reportRows || [];
 
-    const { data: finderPosts } = await supabase
-      .from("found_posts")
-      .select("id, item_name, finder_user_id, finder_name, status")
-      .eq("finder_user_id", req.session.userId);
+    const { data: finderPosts } = await heldFoundPostsQuery(req, res, "id, item_name, finder_user_id, finder_name, status");
     const finderPostIds = (finderPosts || []).map((p) => p.id);
 
     let claimRows = [];
@@ -942,7 +2735,7 @@ app.get("/dashboard", requireAuth, async (req, res) => {
     if (claimPostIds.length > 0) {
       const { data: posts } = await supabase
         .from("found_posts")
-        .select("id, item_name, finder_user_id, finder_name, status")
+        .select("id, item_name, finder_user_id, finder_name, status, custody_offices(name)")
         .in("id", claimPostIds);
       postsById = Object.fromEntries((posts || []).map((p) => [p.id, p]));
     }
@@ -965,7 +2758,7 @@ app.get("/dashboard", requireAuth, async (req, res) => {
       if (!post) return null; // Skip orphaned claims where the post was deleted
       const isClaimer = c.claimer_user_id === req.session.userId;
       const otherName = isClaimer
-        ? (post.finder_name || "Finder")               // Claimer sees the finder's name
+        ? (post.custody_offices?.name || post.finder_name || "Finder") // Claimer sees the holding office or the finder
         : (claimersById[c.claimer_user_id] || "Claimer"); // Finder sees the claimer's name
       return {
         id: c.id,
@@ -979,17 +2772,104 @@ app.get("/dashboard", requireAuth, async (req, res) => {
 
     // Count open reports per item
     const itemNameMap = Object.fromEntries(filteredItems.map((i) => [i.id, i.item_name]));
+    const transferredItemIds = [...new Set(reports.map((r) => r.item_id).filter((id) => !itemNameMap[id]))];
+    if (transferredItemIds.length > 0) {
+      const { data: transferredItems } = await supabase.from("items").select("id, item_name").in("id", transferredItemIds);
+      for (const i of transferredItems || []) itemNameMap[i.id] = i.item_name;
+    }
     const openCounts = {};
     for (const r of reports) {
       if (r.status === REPORT_STATUS.OPEN) openCounts[r.item_id] = (openCounts[r.item_id] || 0) + 1;
     }
 
+    // QR scans per item: the total, and the latest few for the card's log (item_scan_logs in db/schema.sql)
+    const scansByItem = {};
+    if (itemIds.length > 0) {
+      const scans = await fetchAllRows(() => supabase.rpc("item_scan_logs", { item_ids: itemIds, per_item: SCAN_LOG_LIMIT }));
+      for (const scan of scans) {
+        if (!scansByItem[scan.item_id]) scansByItem[scan.item_id] = { count: Number(scan.scan_count), latest: [] };
+        scansByItem[scan.item_id].latest.push(scan);
+      }
+    }
+
+    // Items other users want to hand over to this user
+    const { data: transferRows } = await supabase
+      .from("item_transfers")
+      .select("id, item_id, from_user_id, created_at")
+      .eq("to_user_id", req.session.userId)
+      .eq("status", TRANSFER_STATUS.PENDING)
+      .order("created_at", { ascending: false });
+    let incomingTransfers = [];
+    if ((transferRows || []).length > 0) {
+      const [{ data: transferItems }, { data: senders }] = await Promise.all([
+        supabase.from("items").select("id, item_name").in("id", transferRows.map((t) => t.item_id)),
+        supabase.from("users").select("id, full_name").in("id", [...new Set(transferRows.map((t) => t.from_user_id))])
+      ]);
+      const transferItemsById = Object.fromEntries((transferItems || []).map((i) => [i.id, i.item_name]));
+      const sendersById = Object.fromEntries((senders || []).map((u) => [u.id, u.full_name]));
+      incomingTransfers = transferRows
+        .filter((t) => transferItemsById[t.item_id])
+        .map((t) => ({ ...t, item_name: transferItemsById[t.item_id], sender_name: sendersById[t.from_user_id] || "A PUTrace user" }));
+    }
+
+    // Found posts the matcher paired with this user's lost items (still lost, post still open)
+    const { data: lostItems } = await supabase
+      .from("items")
+      .select("id, item_name")
+      .eq("user_id", req.session.userId)
+      .eq("item_status", ITEM_STATUS.LOST);
+    let possibleMatches = [];
+    if ((lostItems || []).length > 0) {
+      const { data: matchRows } = await supabase
+        .from("item_matches")
+        .select("id, item_id, found_post_id, score, reasons")
+        .in("item_id", lostItems.map((i) => i.id))
+        .eq("status", MATCH_STATUS.SUGGESTED)
+        .order("score", { ascending: false })
+        .limit(20);
+      if ((matchRows || []).length > 0) {
+        const { data: matchPosts } = await supabase
+          .from("found_posts")
+          .select("id, item_name, location_found, found_at, created_at, image_url")
+          .in("id", [...new Set(matchRows.map((m) => m.found_post_id))])
+          .in("status", FOUND_POST_OPEN_STATUSES);
+        const matchPostsById = Object.fromEntries((matchPosts || []).map((p) => [p.id, p]));
+        const lostNames = Object.fromEntries(lostItems.map((i) => [i.id, i.item_name]));
+        possibleMatches = matchRows
+          .filter((m) => matchPostsById[m.found_post_id])
+          .map((m) => ({ ...m, item_name: lostNames[m.item_id], post: matchPostsById[m.found_post_id] }));
+      }
+    }
+
+    const { data: returnDefaults } = await supabase
+      .from("users")
+      .select("default_return_instructions_active, default_return_instructions_lost, default_reward_note")
+      .eq("id", req.session.userId)
+      .maybeSingle();
+
+    // This user's unclaimed found posts that are due to be handed in to the office
+    const { data: turnoverPosts } = await supabase
+      .from("found_posts")
+      .select("id, item_name, location_found, created_at, turnover_requested_at")
+      .eq("finder_user_id", req.session.userId)
+      .eq("status", "unclaimed")
+      .not("turnover_requested_at", "is", null)
+      .order("turnover_requested_at", { ascending: true });
+
     res.render("dashboard", {
-      items: filteredItems.map((i) => ({ ...i, open_reports: openCounts[i.id] || 0 })),
+      savedSearchSuggestion: takeSavedSearchSuggestion(req),
+      returnDefaults: returnDefaults || {},
+      possibleMatches,
+      matchNotifyScore: MATCH_NOTIFY_SCORE,
+      items: filteredItems.map((i) => ({ ...i, open_reports: openCounts[i.id] || 0, scans: scansByItem[i.id]?.latest || [], scan_count: scansByItem[i.id]?.count || 0 })),
+      incomingTransfers,
+      turnoverPosts: turnoverPosts || [],
+      lostAndFoundOffice: LOST_AND_FOUND_OFFICE,
       reports: reports.map((r) => ({ ...r, item_name: itemNameMap[r.item_id] || "Unknown item" })),
       foundActivity: enrichedFoundActivity,
       baseUrl: BASE_URL,
-      categories: CATEGORIES,
+      categories: categories.active,
+      categoryIcons: categories.icons,
       search, filterCategory, filterStatus
     });
   } catch (err) {
@@ -1001,8 +2881,14 @@ app.get("/dashboard", requireAuth, async (req, res) => {
 
 // ── Register Item ──
 
-app.get("/items/new", requireAuth, (req, res) => {
-  res.render("new_item", { categories: CATEGORIES });
+app.get("/items/new", requireAuth, async (req, res) => {
+  try {
+    const categories = await getCategories();
+    res.render("new_item", { categories: categories.active, maxPhotos: MAX_PHOTOS, maxImportRows: MAX_IMPORT_ROWS });
+  } catch (err) {
+    console.error("New item page error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Something went wrong.");
+  }
 });
 
 // Shared item registration handler — mounted on both POST /items/new and POST /dashboard
@@ -1011,42 +2897,36 @@ async function handleRegisterItem(req, res) {
   try {
     const item_name = sanitize(req.body.item_name);
     const item_description = sanitize(req.body.item_description);
-    const category = req.body.category || "Other";
+    const categories = await getCategories();
 
-    if (!item_name || item_name.length > 150) {
-      return flashRedirect(req, res, "/items/new", "error", "Item name is required (max 150 characters).");
-    }
-    if (!item_description) {
-      return flashRedirect(req, res, "/items/new", "error", "Item description is required.");
-    }
-    if (item_description.length > 1000) {
-      return flashRedirect(req, res, "/items/new", "error", "Description is too long (max 1000 characters).");
-    }
+    const validationError = getItemValidationError(item_name, item_description);
+    if (validationError) return flashRedirect(req, res, "/items/new", "error", validationError);
 
     // Generate unique token and QR code
     const token = generateToken();
     const qrUrl = `${BASE_URL}/found/${token}`;
     const qr_data_url = await QRCode.toDataURL(qrUrl);
 
-    // Upload image if provided
-    let image_url = null;
-    if (req.file) {
-      image_url = await uploadImage(req.file.buffer, token);
-    }
+    // Upload photos if provided (the chosen cover goes first)
+    const uploads = await uploadImages(orderFilesWithCover(req.files, req.body.cover_index), token);
+    const imageUrls = uploads.map((u) => u.image_url);
 
     // Save item to database
-    const { error } = await supabase.from("items").insert({
+    const { data: created, error } = await supabase.from("items").insert({
       user_id: req.session.userId,
       item_name,
       item_description: item_description || null,
-      category: normalizeCategory(category),
+      category: normalizeCategory(req.body.category, categories.active),
       item_status: ITEM_STATUS.ACTIVE,
-      image_url, token, qr_data_url
-    });
+      image_url: imageUrls[0] || null,
+      token, qr_data_url
+    }).select("id").maybeSingle();
 
-    if (error) {
+    if (error || !created) {
+      await removeImages(imageUrls);
       return flashRedirect(req, res, "/items/new", "error", "Failed to register item.");
     }
+    if (uploads.length > 0) await savePhotoGallery("item", created.id, uploads);
 
     return flashRedirect(req, res, "/dashboard", "success", "Item registered! Your QR code is ready.");
   } catch (err) {
@@ -1055,26 +2935,161 @@ async function handleRegisterItem(req, res) {
   }
 }
 
-app.post("/items/new", requireAuth, upload.single("image"), handleRegisterItem);
-app.post("/dashboard", requireAuth, upload.single("image"), handleRegisterItem);
+app.post("/items/new", requireAuth, upload.array("images", MAX_PHOTOS), handleRegisterItem);
+app.post("/dashboard", requireAuth, upload.array("images", MAX_PHOTOS), handleRegisterItem);
 
-// ── Lost Board (login required) ──
+// ── Bulk Import Items (CSV dry run, then create) ──
 
-app.get("/lost", requireAuth, async (req, res) => {
+app.get("/items/import/template", requireAuth, (req, res) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", 'attachment; filename="putrace-items-template.csv"');
+  return res.send(`name,description,category\n"TI-84 Calculator","Silver, engraved ""LAB-3"" on the back",Electronics\n`);
+});
+
+// Dry run: validate every row and keep the valid ones in the session until the owner confirms
+app.post("/items/import/preview", requireAuth, csvUpload.single("csv_file"), async (req, res) => {
   try {
-    const search = (req.query.search || "").trim();
-    const filterCategory = req.query.category || "";
+    if (!req.file) return flashRedirect(req, res, "/items/new", "error", "Choose a CSV file to import.");
 
-    // Get all items marked as "lost"
-    let query = supabase
-      .from("items")
-      .select("id, item_name, item_description, category, image_url, created_at, user_id")
-      .eq("item_status", ITEM_STATUS.LOST)
-      .order("created_at", { ascending: false });
-    if (filterCategory) query = query.eq("category", filterCategory);
+    const rows = buildImportRows(parseCsv(req.file.buffer.toString("utf8")), (await getCategories()).active);
+    if (rows.length === 0) return flashRedirect(req, res, "/items/new", "error", "That CSV file has no item rows.");
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return flashRedirect(req, res, "/items/new", "error", `You can import up to ${MAX_IMPORT_ROWS} items at a time. Split the file and try again.`);
+    }
+
+    const validRows = rows.filter((r) => !r.error);
+    req.session.itemImport = validRows.map(({ item_name, item_description, category }) => ({ item_name, item_description, category }));
+    res.render("import_items", { rows, validCount: validRows.length, fileName: req.file.originalname });
+  } catch (err) {
+    console.error("Import preview error:", err);
+    return flashRedirect(req, res, "/items/new", "error", "Couldn't read that CSV file. Please check it and try again.");
+  }
+});
+
+app.post("/items/import", requireAuth, async (req, res) => {
+  try {
+    const pendingRows = req.session.itemImport || [];
+    if (pendingRows.length === 0) return flashRedirect(req, res, "/items/new", "error", "Nothing to import. Upload your CSV again.");
+
+    const categories = await getCategories();
+    const newItems = [];
+    for (const row of pendingRows) {
+      const token = generateToken();
+      newItems.push({
+        user_id: req.session.userId,
+        item_name: row.item_name,
+        item_description: row.item_description,
+        category: normalizeCategory(row.category, categories.active),
+        item_status: ITEM_STATUS.ACTIVE,
+        token,
+        qr_data_url: await QRCode.toDataURL(`${BASE_URL}/found/${token}`)
+      });
+    }
+
+    const { data: created, error } = await supabase.from("items").insert(newItems).select("id, item_name");
+    if (error || !created) return flashRedirect(req, res, "/items/new", "error", "Failed to import items. Nothing was created.");
+    delete req.session.itemImport;
+
+    res.render("import_items_done", { items: created, layouts: LABEL_LAYOUTS, layoutKey: DEFAULT_LABEL_LAYOUT });
+  } catch (err) {
+    console.error("Import items error:", err);
+    return flashRedirect(req, res, "/items/new", "error", "Something went wrong.");
+  }
+});
+
+// ── Edit Item (token and QR code are left untouched so printed stickers keep working) ──
+
+app.get("/item/:id/edit", requireAuth, async (req, res) => {
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name, item_description, category, image_url");
+    if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+    const [[withPhotos], categories] = await Promise.all([attachPhotos("item", [item]), getCategories()]);
+    // An archived category stays selectable for items already in it
+    const names = categories.active.includes(item.category) || !item.category ? categories.active : [...categories.active, item.category];
+    res.render("edit_item", { item: withPhotos, categories: names, maxPhotos: MAX_PHOTOS });
+  } catch (err) {
+    console.error("Edit item page error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Something went wrong.");
+  }
+});
+
+app.post("/item/:id/edit", requireAuth, upload.array("images", MAX_PHOTOS), async (req, res) => {
+  const editPath = `/item/${req.params.id}/edit`;
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, token, image_url, category");
+    if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+    const categories = await getCategories();
+
+    const item_name = sanitize(req.body.item_name);
+    const item_description = sanitize(req.body.item_description);
+    const validationError = getItemValidationError(item_name, item_description);
+    if (validationError) return flashRedirect(req, res, editPath, "error", validationError);
+
+    // Existing photos keep the submitted order (first = cover), minus any marked for removal;
+    // new uploads are appended after them
+    const [{ photos }] = await attachPhotos("item", [item]);
+    const order = parseIdList(req.body.photo_order);
+    const removeIds = new Set(parseIdList(req.body.remove_photo_ids));
+    const rank = (photo) => (order.includes(String(photo.id)) ? order.indexOf(String(photo.id)) : order.length + photo.position);
+    const kept = photos.filter((p) => !removeIds.has(String(p.id))).sort((a, b) => rank(a) - rank(b));
+    const removed = photos.filter((p) => removeIds.has(String(p.id)));
+    const newFiles = req.files || [];
+    if (kept.length + newFiles.length > MAX_PHOTOS) {
+      return flashRedirect(req, res, editPath, "error", `An item can have up to ${MAX_PHOTOS} photos. Remove some before adding more.`);
+    }
 
-    const { data: items } = await query;
-    const filteredItems = filterBySearch(items, search, ["item_name", "item_description", "category"]);
+    const { error } = await supabase.from("items").update({
+      item_name,
+      item_description,
+      category: normalizeCategory(req.body.category, [...categories.active, item.category])
+    }).eq("id", item.id);
+    if (error) return flashRedirect(req, res, editPath, "error", "Failed to update item.");
+
+    const newUploads = await uploadImages(newFiles, item.token);
+    const newUrls = newUploads.map((u) => u.image_url);
+    const saved = await savePhotoGallery("item", item.id, [...kept, ...newUploads]);
+    if (!saved) {
+      await removeImages(newUrls);
+      return flashRedirect(req, res, editPath, "error", "Details saved, but the photos couldn't be updated.");
+    }
+
+    // Only clean up removed files once the gallery no longer points at them
+    await removeImages(removed.map((p) => p.image_url));
+    if (newUrls.length < newFiles.length) {
+      return flashRedirect(req, res, editPath, "error", "Details saved, but some photos couldn't be uploaded. Please try again.");
+    }
+
+    return flashRedirect(req, res, "/dashboard", "success", `"${item_name}" has been updated.`);
+  } catch (err) {
+    console.error("Edit item error:", err);
+    return flashRedirect(req, res, editPath, "error", "Something went wrong.");
+  }
+});
+
+// ── Lost Board (login required) ──
+
+app.get("/lost", requireAuth, async (req, res) => {
+  try {
+    const search = (req.query.search || "").trim();
+    const filterCategory = req.query.category || "";
+    const [directory, categories] = await Promise.all([getCampusDirectory(), getCategories()]);
+    const filterBuilding = pickBuildingId(directory.buildings, req.query.building);
+
+    // Items marked as "lost", a page at a time (only the search hits when searching, best match first)
+    const hits = await searchBoard("search_items", search, {
+      status_filter: ITEM_STATUS.LOST,
+      category_filter: filterCategory || null,
+      building_filter: filterBuilding || null
+    });
+    const lostQuery = (columns, options) => {
+      let query = supabase.from("items").select(columns, options).eq("item_status", ITEM_STATUS.LOST);
+      if (filterCategory) query = query.eq("category", filterCategory);
+      if (filterBuilding) query = query.eq("lost_building_id", filterBuilding);
+      return query;
+    };
+    const page = await fetchBoardPage(lostQuery("id, item_name, item_description, category, image_url, lost_building_id, created_at, user_id"), hits, req.query.cursor, "", true);
+    const { count } = page.matched ? { count: page.matched.length } : await lostQuery("id", { count: "exact", head: true });
+    const filteredItems = await attachPhotos("item", page.rows);
 
     // Get owner first names only (for privacy)
     const userIds = [...new Set(filteredItems.map((i) => i.user_id))];
@@ -1086,10 +3101,23 @@ app.get("/lost", requireAuth, async (req, res) => {
       }
     }
 
+    const lostSince = await getLostSinceMap(filteredItems.map((i) => i.id));
+    const buildingNames = Object.fromEntries(directory.buildings.map((b) => [b.id, b.name]));
+
     res.render("lost", {
-      items: filteredItems.map((i) => ({ ...i, owner_first_name: ownerMap[i.user_id] || "Someone" })),
-      categories: CATEGORIES,
-      search, filterCategory
+      items: filteredItems.map((i) => ({
+        ...i,
+        owner_first_name: ownerMap[i.user_id] || "Someone",
+        lost_since: lostSince[i.id] || null,
+        lost_building: buildingNames[i.lost_building_id] || null
+      })),
+      totalCount: count || 0,
+      nextPageUrl: page.nextCursor ? pageUrl("/lost", { search, category: filterCategory, building: filterBuilding, cursor: page.nextCursor }) : null,
+      categories: categories.active,
+      categoryIcons: categories.icons,
+      buildings: directory.buildings,
+      campusPlaces: directory.entries,
+      search, filterCategory, filterBuilding
     });
   } catch (err) {
     console.error("Lost board error:", err);
@@ -1103,7 +3131,6 @@ app.post("/lost/:id/sighting", requireAuth, async (req, res) => {
   try {
     const reporter_name = sanitize(req.body.reporter_name);
     const reporter_email = sanitize(req.body.reporter_email);
-    const location = sanitize(req.body.location);
     const message = sanitize(req.body.message);
 
     // Find the lost item
@@ -1122,6 +3149,8 @@ app.post("/lost/:id/sighting", requireAuth, async (req, res) => {
     if (!isSchoolEmail(reporter_email)) {
       return flashRedirect(req, res, "/lost", "error", `Use a school email (@${ALLOWED_EMAIL_DOMAIN}).`);
     }
+    const { entries } = await getCampusDirectory();
+    const { text: location, building_id, campus_location_id } = readPickedLocation(entries, req.body, "location");
 
     // Save report
     const { error } = await supabase.from("finder_reports").insert({
@@ -1129,6 +3158,8 @@ app.post("/lost/:id/sighting", requireAuth, async (req, res) => {
       finder_name: reporter_name,
       finder_email: reporter_email,
       location_hint: location || null,
+      building_id,
+      campus_location_id,
       message: `[Sighting] ${message}`,
       status: REPORT_STATUS.OPEN
     });
@@ -1170,18 +3201,39 @@ app.post("/lost/:id/sighting", requireAuth, async (req, res) => {
 
 app.get("/found/:token", async (req, res) => {
   try {
-    if (!req.session.userId) {
-      setFlash(req, "error", "To report this item as found, please log in first.");
-      return res.redirect(`/login?redirect=${encodeURIComponent(req.originalUrl)}`);
-    }
+    // Replaced stickers get a clear notice instead of the login prompt or generic not-found page
+    const retiredLabel = await getRetiredLabel(req.params.token);
+    if (retiredLabel) return res.status(410).render("retired_label", { retiredLabel });
+
     const { data: item } = await supabase.from("items").select("*").eq("token", req.params.token).maybeSingle();
     if (!item) return res.status(404).render("not_found");
+
+    // Every scan is logged, including guest scans
+    await recordItemScan(req, item);
     if (item.user_id === req.session.userId) {
       setFlash(req, "error", "That's your own item — you can't report it as found.");
       return res.redirect("/dashboard");
     }
-    const { data: owner } = await supabase.from("users").select("full_name, email").eq("id", item.user_id).single();
-    return res.render("found_qr", { item, owner });
+    const { data: owner } = await supabase
+      .from("users")
+      .select("full_name, email, default_return_instructions_active, default_return_instructions_lost, default_reward_note")
+      .eq("id", item.user_id)
+      .single();
+    const [[withPhotos], { entries: campusPlaces }] = await Promise.all([attachPhotos("item", [item]), getCampusDirectory()]);
+    const returnInfo = getReturnInfo(item, owner);
+
+    // Visitors without an account get the guest form; the owner's email stays hidden from them
+    if (!req.session.userId) {
+      return res.render("found_qr", {
+        item: withPhotos,
+        owner: { full_name: String(owner?.full_name || "the owner").split(" ")[0], email: null },
+        returnInfo,
+        guest: true,
+        humanCheck: createHumanCheck(req),
+        campusPlaces
+      });
+    }
+    return res.render("found_qr", { item: withPhotos, owner, returnInfo, guest: false, campusPlaces });
   } catch (err) {
     console.error("QR page error:", err);
     return res.status(500).send("Something went wrong.");
@@ -1199,11 +3251,16 @@ app.post("/found/:token", async (req, res) => {
     const { data: finder } = await supabase.from("users").select("full_name, email").eq("id", req.session.userId).single();
     const finder_name = finder?.full_name || sanitize(req.body.finder_name);
     const finder_email = finder?.email || sanitize(req.body.finder_email);
-    const location_hint = sanitize(req.body.location_hint);
+    const { entries } = await getCampusDirectory();
+    const { text: location_hint, building_id, campus_location_id } = readPickedLocation(entries, req.body, "location_hint");
     const message = sanitize(req.body.message);
 
     const { data: item } = await supabase.from("items").select("id, item_name, user_id").eq("token", req.params.token).maybeSingle();
-    if (!item) return res.status(404).render("not_found");
+    if (!item) {
+      const retiredLabel = await getRetiredLabel(req.params.token);
+      if (retiredLabel) return res.status(410).render("retired_label", { retiredLabel });
+      return res.status(404).render("not_found");
+    }
     if (item.user_id === req.session.userId) {
       setFlash(req, "error", "That's your own item — you can't report it as found.");
       return res.redirect("/dashboard");
@@ -1223,6 +3280,8 @@ app.post("/found/:token", async (req, res) => {
       finder_name,
       finder_email,
       location_hint: location_hint || null,
+      building_id,
+      campus_location_id,
       message,
       status: REPORT_STATUS.OPEN
     });
@@ -1233,21 +3292,7 @@ app.post("/found/:token", async (req, res) => {
 
     // Email the item owner
     try {
-      const { data: owner } = await supabase.from("users").select("email, full_name").eq("id", item.user_id).single();
-      if (owner?.email) {
-        await sendEmail(owner.email, `Your item was found — ${item.item_name}`,
-          `<h2 style="margin:0 0 16px;font-size:1.2rem;">&#127881; Someone found your item!</h2>
-           <p>Hi <strong>${owner.full_name || 'there'}</strong>,</p>
-           <p><strong>${finder_name}</strong> (${finder_email}) scanned your QR sticker and reported finding your item <strong>${item.item_name}</strong>.</p>
-           <table style="width:100%;border-collapse:collapse;margin:16px 0;">
-             <tr><td style="padding:8px 12px;background:#f8f9fc;border-radius:6px 6px 0 0;color:#666;font-size:0.85rem;width:110px;">Found by</td><td style="padding:8px 12px;background:#f8f9fc;border-radius:0 6px 0 0;">${finder_name} &lt;${finder_email}&gt;</td></tr>
-             ${location_hint ? `<tr><td style="padding:8px 12px;border-top:1px solid #eee;color:#666;font-size:0.85rem;">Where</td><td style="padding:8px 12px;border-top:1px solid #eee;">${location_hint}</td></tr>` : ''}
-             <tr><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 0 6px;color:#666;font-size:0.85rem;">Message</td><td style="padding:8px 12px;border-top:1px solid #eee;border-radius:0 0 6px 0;">${message}</td></tr>
-           </table>
-           <p style="margin-top:20px;">
-             <a href="${BASE_URL}/messages" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">View in Messages</a>
-           </p>`);
-      }
+      await sendFoundReportEmail(item, { finder_name, finder_email, location_hint, message, is_guest: false });
     } catch (emailErr) {
       console.error("QR report notification email failed:", emailErr);
     }
@@ -1259,22 +3304,156 @@ app.post("/found/:token", async (req, res) => {
   }
 });
 
+// ── Guest finders (no PUTrace account) ──
+// The report is held in the session until the finder confirms their email with a one-time code.
+
+app.post("/found/:token/guest", async (req, res) => {
+  const backUrl = `/found/${req.params.token}`;
+  try {
+    if (req.session.userId) return res.redirect(backUrl);
+
+    const { data: item } = await supabase.from("items").select("id, token").eq("token", req.params.token).maybeSingle();
+    if (!item) return res.status(404).render("not_found");
+
+    if (!passesHumanCheck(req)) return flashRedirect(req, res, backUrl, "error", "Please answer the check question correctly.");
+
+    const finder_name = sanitize(req.body.finder_name);
+    const finder_email = sanitize(req.body.finder_email).toLowerCase();
+    const { entries } = await getCampusDirectory();
+    const { text: location_hint, building_id, campus_location_id } = readPickedLocation(entries, req.body, "location_hint");
+    const message = sanitize(req.body.message);
+    const validationError = getReportValidationError(finder_name, finder_email, message);
+    if (validationError) return flashRedirect(req, res, backUrl, "error", validationError);
+    if (!location_hint) return flashRedirect(req, res, backUrl, "error", "Please specify where you found the item.");
+    if (message.length > 1000) return flashRedirect(req, res, backUrl, "error", "Message is too long (max 1000 chars).");
+
+    const pending = req.session.guestReport;
+    if (pending && Date.now() - pending.sentAt < GUEST_CODE_RESEND_MS) {
+      return flashRedirect(req, res, `${backUrl}/verify`, "error", "We just sent you a code. Please wait a minute before requesting another.");
+    }
+
+    const code = String(crypto.randomInt(100000, 1000000));
+    req.session.guestReport = {
+      token: item.token, finder_name, finder_email, location_hint, building_id, campus_location_id, message,
+      codeHash: hashToken(code), sentAt: Date.now(), expiresAt: Date.now() + GUEST_CODE_TTL_MS, attempts: 0
+    };
+
+    try {
+      await sendEmail(finder_email, "Your PUTrace confirmation code",
+        `<h2 style="margin:0 0 16px;font-size:1.2rem;">Confirm your email</h2>
+         <p>Hi <strong>${finder_name}</strong>,</p>
+         <p>Enter this code on PUTrace to send your report to the item's owner:</p>
+         <p style="margin:20px 0;font-size:1.8rem;font-weight:700;letter-spacing:0.3em;">${code}</p>
+         <p style="color:#888;font-size:0.87rem;">The code expires in 10 minutes. If you didn't scan a PUTrace sticker, you can ignore this email.</p>`);
+    } catch (emailErr) {
+      console.error("Guest code email failed:", emailErr);
+    }
+
+    return flashRedirect(req, res, `${backUrl}/verify`, "success", `We sent a 6-digit code to ${finder_email}. Check your spam folder if you don't see it.`);
+  } catch (err) {
+    console.error("Guest report start error:", err);
+    return flashRedirect(req, res, backUrl, "error", "Something went wrong.");
+  }
+});
+
+app.get("/found/:token/verify", async (req, res) => {
+  const pending = req.session.guestReport;
+  if (!pending || pending.token !== req.params.token) return res.redirect(`/found/${req.params.token}`);
+  res.render("guest_verify", { token: req.params.token, finderEmail: pending.finder_email });
+});
+
+app.post("/found/:token/verify", async (req, res) => {
+  const backUrl = `/found/${req.params.token}`;
+  try {
+    const pending = req.session.guestReport;
+    if (!pending || pending.token !== req.params.token) return res.redirect(backUrl);
+    if (Date.now() > pending.expiresAt || pending.attempts >= GUEST_CODE_MAX_ATTEMPTS) {
+      delete req.session.guestReport;
+      return flashRedirect(req, res, backUrl, "error", "That code has expired. Please send your report again.");
+    }
+
+    const code = String(req.body.code || "").replace(/\D/g, "");
+    if (hashToken(code) !== pending.codeHash) {
+      pending.attempts += 1;
+      return flashRedirect(req, res, `${backUrl}/verify`, "error", "That code isn't right. Check the email and try again.");
+    }
+
+    const { data: item } = await supabase.from("items").select("id, item_name, user_id").eq("token", req.params.token).maybeSingle();
+    if (!item) {
+      delete req.session.guestReport;
+      return res.status(404).render("not_found");
+    }
+
+    const { finder_name, finder_email, location_hint, building_id, campus_location_id, message } = pending;
+    const { data: report, error } = await supabase
+      .from("finder_reports")
+      .insert({
+        item_id: item.id, finder_name, finder_email, location_hint, message, status: REPORT_STATUS.OPEN, is_guest: true,
+        building_id: building_id || null,
+        campus_location_id: campus_location_id || null
+      })
+      .select("id, finder_name, finder_email")
+      .maybeSingle();
+    if (error || !report) return flashRedirect(req, res, `${backUrl}/verify`, "error", "Failed to submit report.");
+    delete req.session.guestReport;
+
+    // This browser can open the thread right away; the emailed link works from any device
+    req.session.guestReportIds = [...new Set([...(req.session.guestReportIds || []), report.id])];
+    try {
+      await sendFoundReportEmail(item, { finder_name, finder_email, location_hint, message, is_guest: true });
+    } catch (emailErr) {
+      console.error("Guest report notification email failed:", emailErr);
+    }
+    try {
+      await sendGuestReportLinkEmail(report, item.item_name, await issueGuestReportLink(report.id), "Your report was sent");
+    } catch (emailErr) {
+      console.error("Guest link email failed:", emailErr);
+    }
+
+    return flashRedirect(req, res, `/guest/reports/${report.id}`, "success", "Report sent! The owner has been notified. We also emailed you a link to this conversation.");
+  } catch (err) {
+    console.error("Guest report verify error:", err);
+    return flashRedirect(req, res, backUrl, "error", "Something went wrong.");
+  }
+});
+
 // ── Found Items Board (login required) ──
 
 app.get("/found-items", requireAuth, async (req, res) => {
   try {
     const search = (req.query.search || "").trim();
     const filterCategory = req.query.category || "";
-
-    let query = supabase
-      .from("found_posts")
-      .select("*")
-      .in("status", ["unclaimed", "claimed", "returned"])
-      .order("created_at", { ascending: false });
-    if (filterCategory) query = query.eq("category", filterCategory);
-
-    const { data: posts } = await query;
-    const filtered = filterBySearch(posts, search, ["item_name", "item_description", "category", "location_found"]);
+    const filterStatus = FOUND_POST_BOARD_STATUSES.includes(req.query.status) ? req.query.status : "";
+    const filterFrom = isDateInput(req.query.from) ? req.query.from : "";
+    const filterTo = isDateInput(req.query.to) ? req.query.to : "";
+    const [directory, categories] = await Promise.all([getCampusDirectory(), getCategories()]);
+    const filterBuilding = pickBuildingId(directory.buildings, req.query.building);
+
+    const foundRange = manilaDayBounds(filterFrom, filterTo);
+    const hits = await searchBoard("search_found_posts", search, {
+      status_filter: filterStatus ? [filterStatus] : FOUND_POST_BOARD_STATUSES,
+      category_filter: filterCategory || null,
+      building_filter: filterBuilding || null,
+      found_from: foundRange.from,
+      found_to: foundRange.to
+    });
+    const foundQuery = (columns, options) => {
+      let query = supabase.from("found_posts").select(columns, options).in("status", FOUND_POST_BOARD_STATUSES);
+      if (filterCategory) query = query.eq("category", filterCategory);
+      if (filterBuilding) query = query.eq("building_id", filterBuilding);
+      if (filterStatus) query = query.eq("status", filterStatus);
+      return query;
+    };
+    const dateFilter = foundDateRangeFilter(filterFrom, filterTo);
+
+    const page = await fetchBoardPage(foundQuery("*, custody_offices(name, location, office_hours)"), hits, req.query.cursor, dateFilter, true);
+    let unclaimedCount = (page.matched || []).filter((p) => p.status === "unclaimed").length;
+    if (!page.matched) {
+      let countQuery = foundQuery("id", { count: "exact", head: true }).eq("status", "unclaimed");
+      if (dateFilter) countQuery = countQuery.or(dateFilter);
+      unclaimedCount = (await countQuery).count || 0;
+    }
+    const filtered = page.rows;
 
     const postIds = (filtered || []).map((p) => p.id);
     let claimCounts = {};
@@ -1295,13 +3474,28 @@ app.get("/found-items", requireAuth, async (req, res) => {
       });
     }
 
-    const enriched = (filtered || []).map((p) => ({
+    const enriched = (await attachPhotos("found", filtered)).map((p) => ({
       ...p,
       claim_count: claimCounts[p.id] || 0,
       user_claim_id: userClaimByPost[p.id] || null
     }));
 
-    res.render("found_items", { posts: enriched, categories: CATEGORIES, search, filterCategory });
+    res.render("found_items", {
+      posts: enriched,
+      unclaimedCount,
+      nextPageUrl: page.nextCursor
+        ? pageUrl("/found-items", { search, category: filterCategory, building: filterBuilding, status: filterStatus, from: filterFrom, to: filterTo, cursor: page.nextCursor })
+        : null,
+      categories: categories.active,
+      categoryIcons: categories.icons,
+      buildings: directory.buildings,
+      campusPlaces: directory.entries,
+      statuses: FOUND_POST_BOARD_STATUSES,
+      lostAndFoundOffice: LOST_AND_FOUND_OFFICE,
+      savedSearchDays: SAVED_SEARCH_TTL_DAYS,
+      maxPhotos: MAX_PHOTOS,
+      search, filterCategory, filterBuilding, filterStatus, filterFrom, filterTo
+    });
   } catch (err) {
     console.error("Found board error:", err);
     setFlash(req, "error", "Couldn't load the Found Board. Please try again.");
@@ -1309,54 +3503,36 @@ app.get("/found-items", requireAuth, async (req, res) => {
   }
 });
 
-app.post("/found-items", requireAuth, upload.single("image"), async (req, res) => {
+app.post("/found-items", requireAuth, upload.array("images", MAX_PHOTOS), async (req, res) => {
   try {
     // Always use the logged-in user's real name/email — ignore form values
     const { data: poster } = await supabase.from("users").select("full_name, email").eq("id", req.session.userId).single();
     const finder_name = poster?.full_name || sanitize(req.body.finder_name);
     const finder_email = poster?.email || sanitize(req.body.finder_email);
-    const item_name = sanitize(req.body.item_name);
-    const item_description = sanitize(req.body.item_description);
-    const category = req.body.category || "Other";
-    const location_found = sanitize(req.body.location_found);
-    
-    // Process separate date and time fields
-    const found_date_raw = (req.body.found_date || "").trim();
-    const found_time_raw = (req.body.found_time || "").trim();
-    let found_at = null;
-    
-    if (found_date_raw) {
-      // If time is provided, append it; otherwise use start of day UTC or local depending on parsing
-      const dateTimeString = found_time_raw ? `${found_date_raw}T${found_time_raw}` : `${found_date_raw}T00:00`;
-      const foundDate = new Date(dateTimeString);
-      if (Number.isNaN(foundDate.getTime())) {
-        return flashRedirect(req, res, "/found-items", "error", "Please provide a valid date/time for when you found the item.");
-      }
-      found_at = foundDate.toISOString();
-    }
-
-    // Validate
-    if (!item_name || item_name.length > 150) return flashRedirect(req, res, "/found-items", "error", "Item name is required (max 150 chars).");
-    if (!location_found) return flashRedirect(req, res, "/found-items", "error", "Please specify where you found the item.");
+    const [{ entries }, categories] = await Promise.all([getCampusDirectory(), getCategories()]);
+    const { error: formError, fields } = readFoundPostForm(req.body, entries, categories.active);
+    if (formError) return flashRedirect(req, res, "/found-items", "error", formError);
 
-    // Upload image if provided (reuse helper)
-    const image_url = req.file ? await uploadImage(req.file.buffer, "found") : null;
+    // Upload photos if provided (reuse helper; the chosen cover goes first)
+    const uploads = await uploadImages(orderFilesWithCover(req.files, req.body.cover_index), "found");
+    const imageUrls = uploads.map((u) => u.image_url);
 
     // Save to database
-    const { error } = await supabase.from("found_posts").insert({
-      finder_name, finder_email, item_name,
-      item_description: item_description || null,
-      category: normalizeCategory(category),
-      location_found: location_found || null,
-      found_at,
-      image_url,
+    const { data: created, error } = await supabase.from("found_posts").insert({
+      ...fields,
+      finder_name, finder_email,
+      image_url: imageUrls[0] || null,
       status: "unclaimed",
       finder_user_id: req.session.userId
-    });
+    }).select("id, finder_user_id, item_name, item_description, category, location_found, building_id, found_at, created_at").maybeSingle();
 
-    if (error) {
+    if (error || !created) {
+      await removeImages(imageUrls);
       return flashRedirect(req, res, "/found-items", "error", "Couldn't post your item. Please try again.");
     }
+    if (uploads.length > 0) await savePhotoGallery("found", created.id, uploads);
+    await matchFoundPost(created);
+    await alertSavedSearches(created);
     return flashRedirect(req, res, "/found-items", "success", "Posted! The owner can now see it on the Found Board.");
   } catch (err) {
     console.error("Post found item error:", err);
@@ -1364,6 +3540,47 @@ app.post("/found-items", requireAuth, upload.single("image"), async (req, res) =
   }
 });
 
+// Search the Found Board by photo: posts whose photos look closest to the uploaded one
+app.post("/found-items/photo-search", requireAuth, upload.single("image"), async (req, res) => {
+  try {
+    if (!req.file) return flashRedirect(req, res, "/found-items", "error", "Choose a photo to search with.");
+    const hash = await computeImageHash(await compressImage(req.file.buffer));
+
+    const photos = await fetchAllRows(() => supabase
+      .from("found_post_photos")
+      .select("id, found_post_id, phash, found_posts!inner(status)")
+      .in("found_posts.status", FOUND_POST_OPEN_STATUSES)
+      .not("phash", "is", null)
+      .order("id"));
+    const distances = {};
+    for (const photo of photos) {
+      const distance = imageHashDistance(hash, photo.phash);
+      if (distance <= PHOTO_SEARCH_DISTANCE && (distances[photo.found_post_id] === undefined || distance < distances[photo.found_post_id])) {
+        distances[photo.found_post_id] = distance;
+      }
+    }
+    const postIds = Object.keys(distances).map(Number).sort((a, b) => distances[a] - distances[b]).slice(0, 20);
+
+    let results = [];
+    if (postIds.length > 0) {
+      const [{ data: posts }, { data: claims }] = await Promise.all([
+        supabase.from("found_posts").select("id, finder_user_id, finder_name, item_name, item_description, category, location_found, found_at, created_at, custody_offices(name)").in("id", postIds),
+        supabase.from("found_claims").select("id, found_post_id").in("found_post_id", postIds).eq("claimer_user_id", req.session.userId).neq("status", "rejected")
+      ]);
+      const claimByPost = Object.fromEntries((claims || []).map((c) => [c.found_post_id, c.id]));
+      const postsById = Object.fromEntries((await attachPhotos("found", posts)).map((p) => [p.id, p]));
+      results = postIds
+        .filter((id) => postsById[id])
+        .map((id) => ({ ...postsById[id], distance: distances[id], user_claim_id: claimByPost[id] || null }));
+    }
+
+    res.render("found_photo_search", { results, closeDistance: PHOTO_MATCH_DISTANCE / 2 });
+  } catch (err) {
+    console.error("Photo search error:", err);
+    return flashRedirect(req, res, "/found-items", "error", "Couldn't search by photo. Please try again.");
+  }
+});
+
 // Claim a found item (must be logged in)
 app.post("/found-items/:id/claim", requireAuth, async (req, res) => {
   try {
@@ -1373,13 +3590,17 @@ app.post("/found-items/:id/claim", requireAuth, async (req, res) => {
       .eq("id", Number(req.params.id))
       .maybeSingle();
 
-    if (!post || post.status === "returned") {
+    if (!post || post.status === "returned" || post.status === "archived") {
       setFlash(req, "error", "That post is no longer available.");
       return res.redirect("/found-items");
     }
+    // Handed in without a custodian on PUTrace: the claim happens at the counter
+    if (post.status === "surrendered" && !post.office_id) {
+      return flashRedirect(req, res, "/found-items", "info", `"${post.item_name}" has been handed in to ${LOST_AND_FOUND_OFFICE}. Claim it there with a valid ID.`);
+    }
 
     const claimerId = req.session.userId;
-    if (post.finder_user_id === claimerId) {
+    if (post.finder_user_id === claimerId || (post.office_id && post.office_id === res.locals.custodianOfficeId)) {
       return flashRedirect(req, res, "/found-items", "error", "You can't claim your own found post.");
     }
 
@@ -1406,6 +3627,7 @@ app.post("/found-items/:id/claim", requireAuth, async (req, res) => {
     }
 
     const claimId = newClaim.id;
+    await markMatchesClaimed(claimerId, post.id);
 
     // Auto-create an opening message to kick off the thread
     const { error: messageError } = await supabase.from("found_claim_messages").insert({
@@ -1418,13 +3640,13 @@ app.post("/found-items/:id/claim", requireAuth, async (req, res) => {
       return flashRedirect(req, res, "/found-items", "error", "Claim started but the conversation couldn't be created. Please try again.");
     }
 
-    // Email the finder (post owner) that someone claimed their found item
+    // Email the finder (post owner), or the custodians of the office holding it, that someone claimed it
     try {
       const { data: claimer } = await supabase.from("users").select("full_name, email").eq("id", claimerId).single();
-      if (post.finder_email) {
-        await sendEmail(post.finder_email, `Your found item post was claimed — ${post.item_name}`,
+      for (const contact of await getFoundPostContacts(post)) {
+        await sendEmail(contact.email, `Your found item post was claimed — ${post.item_name}`,
           `<h2 style="margin:0 0 16px;font-size:1.2rem;">&#128197; Item Claimed</h2>
-           <p>Hi <strong>${post.finder_name || 'there'}</strong>,</p>
+           <p>Hi <strong>${contact.name || 'there'}</strong>,</p>
            <p><strong>${claimer?.full_name || 'Someone'}</strong> (${claimer?.email || 'unknown email'}) claimed your found item post for <strong>${post.item_name}</strong>.</p>
            <p>You can chat with them inside PUTrace to confirm ownership and arrange pickup.</p>
            <p style="margin-top:20px;">
@@ -1436,7 +3658,9 @@ app.post("/found-items/:id/claim", requireAuth, async (req, res) => {
       console.error("Claim notification email failed:", emailErr);
     }
 
-    setFlash(req, "success", `You claimed "${post.item_name}"! Chat with the finder below to confirm ownership and arrange pickup.`);
+    setFlash(req, "success", post.office_id
+      ? `You claimed "${post.item_name}"! Chat with the office below, then pick it up there with a valid ID.`
+      : `You claimed "${post.item_name}"! Chat with the finder below to confirm ownership and arrange pickup.`);
     return res.redirect(`/found-claims/${claimId}`);
   } catch (err) {
     console.error("Claim error:", err);
@@ -1445,6 +3669,125 @@ app.post("/found-items/:id/claim", requireAuth, async (req, res) => {
   }
 });
 
+// ── Possible Matches (lost item ↔ Found Board post) ──
+
+// The match plus both sides, only for the owner of the lost item
+async function getOwnedMatch(req, matchId) {
+  const { data: match } = await supabase.from("item_matches").select("*").eq("id", Number(matchId)).maybeSingle();
+  if (!match) return null;
+  const item = await getOwnedItem(req, match.item_id, "id, user_id, item_name, item_description, category, item_status, image_url");
+  if (!item) return null;
+  return { match, item };
+}
+
+app.get("/matches/:id", requireAuth, async (req, res) => {
+  try {
+    const owned = await getOwnedMatch(req, req.params.id);
+    if (!owned) return res.status(404).render("not_found");
+    const { match, item } = owned;
+
+    const { data: post } = await supabase
+      .from("found_posts")
+      .select("id, finder_name, office_id, item_name, item_description, category, location_found, found_at, image_url, status, created_at, custody_offices(name, location, office_hours)")
+      .eq("id", match.found_post_id)
+      .maybeSingle();
+    if (!post) return res.status(404).render("not_found");
+
+    // An earlier claim on this post by the owner takes them straight back to that conversation
+    const { data: existingClaim } = await supabase
+      .from("found_claims")
+      .select("id")
+      .eq("found_post_id", post.id)
+      .eq("claimer_user_id", req.session.userId)
+      .neq("status", "rejected")
+      .limit(1)
+      .maybeSingle();
+
+    const [[itemWithPhotos], [postWithPhotos]] = await Promise.all([
+      attachPhotos("item", [item]),
+      attachPhotos("found", [post])
+    ]);
+    res.render("match_detail", {
+      match,
+      item: itemWithPhotos,
+      post: postWithPhotos,
+      lostAndFoundOffice: LOST_AND_FOUND_OFFICE,
+      existingClaimId: existingClaim?.id || null
+    });
+  } catch (err) {
+    console.error("Match detail error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Couldn't load that match. Please try again.");
+  }
+});
+
+app.post("/matches/:id/dismiss", requireAuth, async (req, res) => {
+  try {
+    const owned = await getOwnedMatch(req, req.params.id);
+    if (!owned) return flashRedirect(req, res, "/dashboard", "error", "Match not found.");
+
+    const { error } = await supabase.from("item_matches").update({ status: MATCH_STATUS.DISMISSED }).eq("id", owned.match.id);
+    if (error) return flashRedirect(req, res, "/dashboard", "error", "Couldn't dismiss that match. Please try again.");
+    return flashRedirect(req, res, "/dashboard", "success", "Got it — we won't suggest that post again.");
+  } catch (err) {
+    console.error("Dismiss match error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Something went wrong.");
+  }
+});
+
+// ── Saved Searches (email alerts for new Found Board posts) ──
+
+app.post("/saved-searches", requireAuth, async (req, res) => {
+  try {
+    const { values, error: validationError } = parseSavedSearch(req.body, (await getCategories()).active);
+    if (validationError) return flashRedirect(req, res, "/found-items", "error", validationError);
+
+    // Searches suggested when marking an item lost stay linked to that item
+    let item_id = null;
+    if (req.body.item_id) {
+      const item = await getOwnedItem(req, req.body.item_id, "id, user_id");
+      if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+      item_id = item.id;
+    }
+
+    const now = new Date();
+    const { count } = await supabase
+      .from("saved_searches")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", req.session.userId)
+      .gt("expires_at", now.toISOString());
+    if ((count || 0) >= MAX_SAVED_SEARCHES) {
+      return flashRedirect(req, res, "/account", "error", `You can keep up to ${MAX_SAVED_SEARCHES} saved searches. Delete one to add another.`);
+    }
+
+    const { error } = await supabase.from("saved_searches").insert({
+      user_id: req.session.userId,
+      item_id,
+      keywords: values.keywords || null,
+      category: values.category || null,
+      building_id: values.building_id,
+      location: values.location || null,
+      found_from: values.found_from || null,
+      found_to: values.found_to || null,
+      expires_at: new Date(now.getTime() + SAVED_SEARCH_TTL_DAYS * 86400000).toISOString()
+    });
+    if (error) return flashRedirect(req, res, "/found-items", "error", "Couldn't save that search. Please try again.");
+    return flashRedirect(req, res, "/account", "success", `Search saved. We'll email you when a matching item is posted in the next ${SAVED_SEARCH_TTL_DAYS} days.`);
+  } catch (err) {
+    console.error("Save search error:", err);
+    return flashRedirect(req, res, "/found-items", "error", "Something went wrong.");
+  }
+});
+
+app.post("/saved-searches/:id/delete", requireAuth, async (req, res) => {
+  try {
+    await supabase.from("saved_searches").delete().eq("id", Number(req.params.id)).eq("user_id", req.session.userId);
+    return flashRedirect(req, res, "/account", "success", "Saved search deleted.");
+  } catch (err) {
+    console.error("Delete saved search error:", err);
+    return flashRedirect(req, res, "/account", "error", "Something went wrong.");
+  }
+});
+
 // ── Found Claim Threads ──
 
 app.get("/found-claims/post/:postId", requireAuth, async (req, res) => {
@@ -1452,7 +3795,7 @@ app.get("/found-claims/post/:postId", requireAuth, async (req, res) => {
     const postId = Number(req.params.postId);
     const { data: post } = await supabase.from("found_posts").select("*").eq("id", postId).maybeSingle();
     if (!post) return res.status(404).render("not_found");
-    if (post.finder_user_id !== req.session.userId) return res.status(403).send("Forbidden");
+    if (!canManageFoundPost(req, res, post)) return res.status(403).send("Forbidden");
 
     const { data: claims } = await supabase
       .from("found_claims")
@@ -1491,41 +3834,36 @@ app.get("/found-claims/:claimId", requireAuth, async (req, res) => {
       .maybeSingle();
     if (!claim) return res.status(404).render("not_found");
 
-    const { data: post } = await supabase.from("found_posts").select("*").eq("id", claim.found_post_id).maybeSingle();
+    const { data: post } = await supabase.from("found_posts").select("*, custody_offices(name, location, office_hours)").eq("id", claim.found_post_id).maybeSingle();
     if (!post) return res.status(404).render("not_found");
 
     const userId = req.session.userId;
-    if (post.finder_user_id !== userId && claim.claimer_user_id !== userId) return res.status(403).send("Forbidden");
-
-    const { data: rows } = await supabase
-      .from("found_claim_messages")
-      .select("id, claim_id, sender_user_id, message, created_at")
-      .eq("claim_id", claimId)
-      .order("created_at", { ascending: true });
-    const messages = rows || [];
+    if (!canJoinFoundClaim(req, res, post, claim)) return res.status(403).send("Forbidden");
 
-    const senderIds = [...new Set(messages.map((m) => m.sender_user_id).filter(Boolean))];
-    let senderMap = {};
-    if (senderIds.length > 0) {
-      const { data: users } = await supabase.from("users").select("id, full_name").in("id", senderIds);
-      senderMap = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
-    }
+    const syncedAt = new Date().toISOString();
+    const { messages, hasOlder } = await getThreadMessagePage("claim", claimId);
+    const senderMap = await getSenderNames(messages);
 
+    // A claimer talks to the office once it holds the item, not to the student who found it
     const isClaimer = claim.claimer_user_id === userId;
-    let counterpartName = isClaimer ? post.finder_name : "Claimer";
-    const otherUserId = isClaimer ? post.finder_user_id : claim.claimer_user_id;
+    let counterpartName = isClaimer ? (post.custody_offices?.name || post.finder_name) : "Claimer";
+    const otherUserId = isClaimer ? (post.office_id ? null : post.finder_user_id) : claim.claimer_user_id;
     if (otherUserId) {
       const { data: other } = await supabase.from("users").select("full_name").eq("id", otherUserId).maybeSingle();
       if (other?.full_name) counterpartName = other.full_name;
     }
 
-    req.session.lastReadFoundClaims = { ...(req.session.lastReadFoundClaims || {}), [String(claimId)]: new Date().toISOString() };
+    await markThreadRead("claim", claimId, userId, lastMessageId(messages));
+    const seenUpTo = await getSeenUpTo("claim", claimId, userId);
     res.render("found_claim_thread", {
       post,
       claim,
       messages: messages.map((m) => serializeChatMessage({ ...m, sender_name: senderMap[m.sender_user_id] || "User" }, userId)),
+      hasOlder,
+      seenUpTo,
+      syncedAt,
       counterpartName,
-      isFinder: post.finder_user_id === userId
+      isFinder: canManageFoundPost(req, res, post)
     });
   } catch (err) {
     console.error("Found claim thread error:", err);
@@ -1543,30 +3881,27 @@ app.get("/found-claims/:claimId/poll", requireAuth, async (req, res) => {
       .maybeSingle();
     if (!claim) return res.status(404).json({ error: "not_found" });
 
-    const { data: post } = await supabase.from("found_posts").select("id, status, finder_user_id").eq("id", claim.found_post_id).maybeSingle();
+    const { data: post } = await supabase.from("found_posts").select("id, status, finder_user_id, office_id").eq("id", claim.found_post_id).maybeSingle();
     if (!post) return res.status(404).json({ error: "not_found" });
 
     const userId = req.session.userId;
-    if (post.finder_user_id !== userId && claim.claimer_user_id !== userId) return res.status(403).json({ error: "forbidden" });
-
-    const { data: rows } = await supabase
-      .from("found_claim_messages")
-      .select("id, sender_user_id, message, created_at")
-      .eq("claim_id", claimId)
-      .order("created_at", { ascending: true });
-    const messages = rows || [];
+    if (!canJoinFoundClaim(req, res, post, claim)) return res.status(403).json({ error: "forbidden" });
 
-    const senderIds = [...new Set(messages.map((m) => m.sender_user_id).filter(Boolean))];
-    let senderMap = {};
-    if (senderIds.length > 0) {
-      const { data: users } = await supabase.from("users").select("id, full_name").in("id", senderIds);
-      senderMap = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
-    }
+    const cursor = getThreadCursor(req.query);
+    const syncedAt = new Date().toISOString();
+    const { messages, hasOlder, hasNewer } = await getThreadMessagePage("claim", claimId, cursor);
+    const updated = await getThreadMessageUpdates("claim", claimId, req.query.updated_since);
+    const senderMap = await getSenderNames([...messages, ...updated]);
 
-    req.session.lastReadFoundClaims = { ...(req.session.lastReadFoundClaims || {}), [String(claimId)]: new Date().toISOString() };
+    if (!cursor.before) await markThreadRead("claim", claimId, userId, lastMessageId(messages));
     return res.json({
-      status: post.status === "returned" ? "returned" : claim.status,
-      messages: messages.map((m) => serializeChatMessage({ ...m, sender_name: senderMap[m.sender_user_id] || "User" }, userId))
+      ...threadStatusDelta(post.status === "returned" ? "returned" : claim.status, req.query.status),
+      messages: messages.map((m) => serializeChatMessage({ ...m, sender_name: senderMap[m.sender_user_id] || "User" }, userId)),
+      updated: updated.map((m) => serializeChatMessage({ ...m, sender_name: senderMap[m.sender_user_id] || "User" }, userId)),
+      synced_at: syncedAt,
+      seen_up_to: await getSeenUpTo("claim", claimId, userId),
+      ...(hasOlder === null ? {} : { has_older: hasOlder }),
+      ...(hasNewer === null ? {} : { has_newer: hasNewer })
     });
   } catch (err) {
     console.error("Found claim poll error:", err);
@@ -1574,6 +3909,57 @@ app.get("/found-claims/:claimId/poll", requireAuth, async (req, res) => {
   }
 });
 
+// Claim thread participants only (the claimer, the finder, the holding office's custodians)
+async function getJoinableFoundClaim(req, res, claimId) {
+  const { data: claim } = await supabase
+    .from("found_claims")
+    .select("id, found_post_id, claimer_user_id, status")
+    .eq("id", claimId)
+    .maybeSingle();
+  if (!claim) return { error: "not_found" };
+  const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, office_id").eq("id", claim.found_post_id).maybeSingle();
+  if (!post) return { error: "not_found" };
+  if (!canJoinFoundClaim(req, res, post, claim)) return { error: "forbidden" };
+  return { claim, post };
+}
+
+// Live updates for a claim thread: new messages, status changes and typing. /poll stays as the fallback.
+app.get("/found-claims/:claimId/stream", requireAuth, async (req, res) => {
+  try {
+    const claimId = Number(req.params.claimId);
+    const ctx = await getJoinableFoundClaim(req, res, claimId);
+    if (ctx.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
+
+    const userId = req.session.userId;
+    openThreadStream(req, res, `claim:${claimId}`, {
+      viewer: `user:${userId}`,
+      serialize: (m) => serializeChatMessage(m, userId),
+      onMessage: (m) => {
+        if (m.sender_user_id !== userId) markThreadRead("claim", claimId, userId, m.id).catch((err) => console.error("Mark read error:", err));
+      }
+    });
+  } catch (err) {
+    console.error("Found claim stream error:", err);
+    if (!res.headersSent) return res.status(500).json({ error: "server_error" });
+  }
+});
+
+app.post("/found-claims/:claimId/typing", requireAuth, async (req, res) => {
+  try {
+    const claimId = Number(req.params.claimId);
+    const ctx = await getJoinableFoundClaim(req, res, claimId);
+    if (ctx.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
+
+    publishThreadEvent(`claim:${claimId}`, "typing", { name: res.locals.currentUser.full_name }, `user:${req.session.userId}`);
+    return res.sendStatus(204);
+  } catch (err) {
+    console.error("Found claim typing error:", err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
 app.post("/found-claims/:claimId/reject", requireAuth, async (req, res) => {
   try {
     const claimId = Number(req.params.claimId);
@@ -1584,13 +3970,14 @@ app.post("/found-claims/:claimId/reject", requireAuth, async (req, res) => {
       .maybeSingle();
     if (!claim) return res.status(404).render("not_found");
 
-    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, status").eq("id", claim.found_post_id).maybeSingle();
+    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, office_id, status").eq("id", claim.found_post_id).maybeSingle();
     if (!post) return res.status(404).render("not_found");
-    if (post.finder_user_id !== req.session.userId) return res.status(403).send("Forbidden");
+    if (!canManageFoundPost(req, res, post)) return res.status(403).send("Forbidden");
     if (post.status === "returned") return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "This item has already been returned.");
     if (claim.status !== "open") return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "This claim is already closed.");
 
     await supabase.from("found_claims").update({ status: "rejected" }).eq("id", claimId);
+    publishThreadEvent(`claim:${claimId}`, "status", { status: "rejected" });
     return flashRedirect(req, res, `/found-claims/post/${post.id}`, "success", "Claim rejected.");
   } catch (err) {
     console.error("Reject claim error:", err);
@@ -1608,12 +3995,15 @@ app.post("/found-claims/:claimId/resolve", requireAuth, async (req, res) => {
       .maybeSingle();
     if (!claim) return res.status(404).render("not_found");
 
-    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, status").eq("id", claim.found_post_id).maybeSingle();
+    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, office_id, status").eq("id", claim.found_post_id).maybeSingle();
     if (!post) return res.status(404).render("not_found");
-    if (post.finder_user_id !== req.session.userId) return res.status(403).send("Forbidden");
+    if (!canManageFoundPost(req, res, post)) return res.status(403).send("Forbidden");
     if (post.status === "returned") return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "This item has already been returned.");
+    // Office-held items are released at the desk, where the claimer's ID is recorded
+    if (post.office_id) return res.redirect(`/office/posts/${post.id}`);
 
     await supabase.from("found_claims").update({ status: "returned" }).eq("id", claimId);
+    publishThreadEvent(`claim:${claimId}`, "status", { status: "returned" });
     return flashRedirect(req, res, "/messages", "success", "Great! Marked as returned — glad the item made it back!");
   } catch (err) {
     console.error("Resolve claim error:", err);
@@ -1621,7 +4011,7 @@ app.post("/found-claims/:claimId/resolve", requireAuth, async (req, res) => {
   }
 });
 
-app.post("/found-claims/:claimId", requireAuth, async (req, res) => {
+app.post("/found-claims/:claimId", requireAuth, upload.single("image"), async (req, res) => {
   try {
     const claimId = Number(req.params.claimId);
     const { data: claim } = await supabase
@@ -1631,20 +4021,21 @@ app.post("/found-claims/:claimId", requireAuth, async (req, res) => {
       .maybeSingle();
     if (!claim) return res.status(404).render("not_found");
 
-    const { data: post } = await supabase.from("found_posts").select("id, status, finder_user_id").eq("id", claim.found_post_id).maybeSingle();
+    const { data: post } = await supabase.from("found_posts").select("id, status, finder_user_id, office_id").eq("id", claim.found_post_id).maybeSingle();
     if (!post) return res.status(404).render("not_found");
 
     const userId = req.session.userId;
-    if (post.finder_user_id !== userId && claim.claimer_user_id !== userId) return res.status(403).send("Forbidden");
+    if (!canJoinFoundClaim(req, res, post, claim)) return res.status(403).send("Forbidden");
     if (post.status === "returned" || claim.status !== "open") {
       return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "This conversation is closed.");
     }
 
     const text = sanitize(req.body.message || "");
-    if (!text) return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "Message cannot be empty.");
+    if (!text && !req.file) return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "Write a message or attach a photo.");
     if (text.length > 1000) return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "Message too long (max 1000 chars).");
 
-    await supabase.from("found_claim_messages").insert({ claim_id: claimId, sender_user_id: userId, message: text });
+    const sent = await sendThreadMessage("claim", claimId, { sender_user_id: userId, message: text }, req.file, res.locals.currentUser.full_name);
+    if (!sent) return flashRedirect(req, res, `/found-claims/${claimId}`, "error", "Failed to send message.");
     return res.redirect(`/found-claims/${claimId}`);
   } catch (err) {
     console.error("Found claim send error:", err);
@@ -1652,15 +4043,30 @@ app.post("/found-claims/:claimId", requireAuth, async (req, res) => {
   }
 });
 
+app.post(["/found-claims/:claimId/messages/:messageId/edit", "/found-claims/:claimId/messages/:messageId/unsend"], requireAuth, async (req, res) => {
+  try {
+    const claimId = Number(req.params.claimId);
+    const ctx = await getJoinableFoundClaim(req, res, claimId);
+    if (ctx.error === "not_found") return res.status(404).render("not_found");
+    if (ctx.error === "forbidden") return res.status(403).send("Forbidden");
+
+    const userId = req.session.userId;
+    return handleThreadMessageChange(req, res, "claim", claimId, `/found-claims/${claimId}`, (m) => m.sender_user_id === userId, res.locals.currentUser.full_name);
+  } catch (err) {
+    console.error("Found claim message change error:", err);
+    return flashRedirect(req, res, `/found-claims/${req.params.claimId}`, "error", "Something went wrong.");
+  }
+});
+
 // Legacy claim thread URL: redirect to claim list/thread
 app.get("/found-messages/:postId", requireAuth, async (req, res) => {
   try {
     const postId = Number(req.params.postId);
-    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id").eq("id", postId).maybeSingle();
+    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, office_id").eq("id", postId).maybeSingle();
     if (!post) return res.status(404).render("not_found");
 
     const userId = req.session.userId;
-    if (post.finder_user_id === userId) {
+    if (canManageFoundPost(req, res, post)) {
       return res.redirect(`/found-claims/post/${postId}`);
     }
 
@@ -1689,21 +4095,15 @@ app.get("/messages", requireAuth, async (req, res) => {
 
     const { data: ownerItems } = await supabase.from("items").select("id, item_name, user_id").eq("user_id", req.session.userId);
     const ownerItemIds = (ownerItems || []).map((i) => i.id);
-    const ownerItemIdSet = new Set(ownerItemIds);
 
-    let ownerReports = [];
-    if (ownerItemIds.length > 0) {
-      const { data } = await supabase
-        .from("finder_reports")
-        .select("id, item_id, finder_name, finder_email, message, status, created_at")
-        .in("item_id", ownerItemIds)
-        .order("created_at", { ascending: false });
-      ownerReports = data || [];
-    }
+    const { data: ownerReportsData } = await ownedReportsQuery(req.session.userId, ownerItemIds, "id, item_id, owner_user_id, finder_name, finder_email, message, status, created_at")
+      .order("created_at", { ascending: false });
+    const ownerReports = ownerReportsData || [];
+    const ownerReportIdSet = new Set(ownerReports.map((r) => r.id));
 
     const { data: finderReportsData } = await supabase
       .from("finder_reports")
-      .select("id, item_id, finder_name, finder_email, message, status, created_at")
+      .select("id, item_id, owner_user_id, finder_name, finder_email, message, status, created_at")
       .eq("finder_email", currentEmail)
       .order("created_at", { ascending: false });
     const finderReports = finderReportsData || [];
@@ -1717,17 +4117,25 @@ app.get("/messages", requireAuth, async (req, res) => {
     }
     const reports = [...mergedMap.values()];
 
-    // Fetch latest chat message per report to use as conversation preview
+    // Fetch latest chat message per report to use as conversation preview,
+    // and count the other side's messages past this user's read marker
     const reportIds = reports.map((r) => r.id);
     let latestMsgMap = {};
+    const unreadByReport = {};
     if (reportIds.length > 0) {
-      const { data: latestMsgs } = await supabase
-        .from("report_messages")
-        .select("report_id, message, created_at")
-        .in("report_id", reportIds)
-        .order("created_at", { ascending: false });
+      const [{ data: latestMsgs }, readReports] = await Promise.all([
+        supabase
+          .from("report_messages")
+          .select("id, report_id, sender_user_id, message, attachment_path, removed_at, created_at")
+          .in("report_id", reportIds)
+          .order("created_at", { ascending: false }),
+        getReadMarkers("report", reportIds, req.session.userId)
+      ]);
       for (const m of latestMsgs || []) {
         if (!latestMsgMap[m.report_id]) latestMsgMap[m.report_id] = m;
+        if (m.sender_user_id !== req.session.userId && m.id > (readReports[m.report_id] || 0)) {
+          unreadByReport[m.report_id] = (unreadByReport[m.report_id] || 0) + 1;
+        }
       }
     }
 
@@ -1738,7 +4146,7 @@ app.get("/messages", requireAuth, async (req, res) => {
       itemsById = Object.fromEntries((items || []).map((i) => [i.id, i]));
     }
 
-    const ownerUserIds = [...new Set(Object.values(itemsById).map((i) => i.user_id))];
+    const ownerUserIds = [...new Set(reports.map((r) => itemsById[r.item_id] && getReportOwnerId(r, itemsById[r.item_id])).filter(Boolean))];
     let usersById = {};
     if (ownerUserIds.length > 0) {
       const { data: users } = await supabase.from("users").select("id, full_name").in("id", ownerUserIds);
@@ -1750,30 +4158,28 @@ app.get("/messages", requireAuth, async (req, res) => {
         const item = itemsById[r.item_id];
         if (!item) return null;
 
-        const role = ownerItemIdSet.has(r.item_id) ? "owner" : "finder";
+        const role = ownerReportIdSet.has(r.id) ? "owner" : "finder";
         const counterpartName = role === "owner"
           ? (r.finder_name || r.finder_email || "Finder")
-          : (usersById[item.user_id]?.full_name || "Owner");
+          : (usersById[getReportOwnerId(r, item)]?.full_name || "Owner");
 
         return {
           id: r.id,
           url: `/messages/${r.id}`,
           item_name: item.item_name,
           image_url: item.image_url,
-          preview: latestMsgMap[r.id]?.message || r.message,
+          preview: chatPreview(latestMsgMap[r.id]) || r.message,
           status: r.status,
           kind: 'report',
           role,
           counterpart_name: counterpartName,
+          unread: unreadByReport[r.id] || 0,
           created_at: latestMsgMap[r.id]?.created_at || r.created_at
         };
       })
       .filter(Boolean);
 
-    const { data: finderPosts } = await supabase
-      .from("found_posts")
-      .select("id, item_name, finder_user_id, finder_name")
-      .eq("finder_user_id", req.session.userId);
+    const { data: finderPosts } = await heldFoundPostsQuery(req, res, "id, item_name, finder_user_id, finder_name");
     const finderPostIds = (finderPosts || []).map((p) => p.id);
 
     let claimRows = [];
@@ -1798,7 +4204,7 @@ app.get("/messages", requireAuth, async (req, res) => {
     if (claimPostIds.length > 0) {
       const { data: posts } = await supabase
         .from("found_posts")
-        .select("id, item_name, finder_user_id, finder_name, status, created_at, image_url")
+        .select("id, item_name, finder_user_id, finder_name, status, created_at, image_url, custody_offices(name)")
         .in("id", claimPostIds);
       postsById = Object.fromEntries((posts || []).map((p) => [p.id, p]));
     }
@@ -1810,21 +4216,30 @@ app.get("/messages", requireAuth, async (req, res) => {
       claimersById = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
     }
 
+    const readClaims = await getReadMarkers("claim", claimRows.map((c) => c.id), req.session.userId);
     const foundConvos = await Promise.all((claimRows || []).map(async (c) => {
       const post = postsById[c.found_post_id];
       if (!post) return null;
 
-      const { data: lastMsg } = await supabase
-        .from("found_claim_messages")
-        .select("message, created_at")
-        .eq("claim_id", c.id)
-        .order("created_at", { ascending: false })
-        .limit(1)
-        .maybeSingle();
+      const [{ data: lastMsg }, { count: unread }] = await Promise.all([
+        supabase
+          .from("found_claim_messages")
+          .select("message, attachment_path, removed_at, created_at")
+          .eq("claim_id", c.id)
+          .order("created_at", { ascending: false })
+          .limit(1)
+          .maybeSingle(),
+        supabase
+          .from("found_claim_messages")
+          .select("id", { count: "exact", head: true })
+          .eq("claim_id", c.id)
+          .neq("sender_user_id", req.session.userId)
+          .gt("id", readClaims[c.id] || 0)
+      ]);
 
       const isClaimer = c.claimer_user_id === req.session.userId;
       const counterpartName = isClaimer
-        ? (post.finder_name || "Finder")
+        ? (post.custody_offices?.name || post.finder_name || "Finder")
         : (claimersById[c.claimer_user_id] || "Claimer");
 
       return {
@@ -1832,11 +4247,12 @@ app.get("/messages", requireAuth, async (req, res) => {
         url: `/found-claims/${c.id}`,
         item_name: post.item_name,
         image_url: post.image_url,
-        preview: lastMsg?.message || "Claim initiated",
+        preview: chatPreview(lastMsg) || "Claim initiated",
         status: post.status === "returned" ? "returned" : c.status,
         kind: 'found',
         role: isClaimer ? "claimer" : "finder",
         counterpart_name: counterpartName,
+        unread: unread || 0,
         created_at: lastMsg?.created_at || c.created_at
       };
     }));
@@ -1859,27 +4275,21 @@ app.get("/messages/:reportId", requireAuth, async (req, res) => {
 
     const { report, item, owner, currentUser, isOwner } = ctx;
 
-    const { data: rows } = await supabase
-      .from("report_messages")
-      .select("id, report_id, sender_user_id, message, created_at")
-      .eq("report_id", report.id)
-      .order("created_at", { ascending: true });
-    const messages = rows || [];
-
-    const senderIds = [...new Set(messages.map((m) => m.sender_user_id).filter(Boolean))];
-    let senderMap = {};
-    if (senderIds.length > 0) {
-      const { data: users } = await supabase.from("users").select("id, full_name").in("id", senderIds);
-      senderMap = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
-    }
+    const syncedAt = new Date().toISOString();
+    const { messages, hasOlder } = await getThreadMessagePage("report", report.id);
+    const senderMap = await getSenderNames(messages);
 
     const counterpartName = isOwner ? (report.finder_name || report.finder_email || "Finder") : owner.full_name;
 
-    req.session.lastReadReports = { ...(req.session.lastReadReports || {}), [String(report.id)]: new Date().toISOString() };
+    await markThreadRead("report", report.id, currentUser.id, lastMessageId(messages));
+    const seenUpTo = await getSeenUpTo("report", report.id, currentUser.id, report.guest_last_read_message_id);
     res.render("message_thread", {
       report,
       item,
-      messages: messages.map((m) => serializeChatMessage({ ...m, sender_name: senderMap[m.sender_user_id] || "User" }, currentUser.id)),
+      messages: messages.map((m) => serializeChatMessage({ ...m, sender_name: m.from_guest ? report.finder_name : (senderMap[m.sender_user_id] || "User") }, currentUser.id)),
+      hasOlder,
+      seenUpTo,
+      syncedAt,
       counterpartName
     });
   } catch (err) {
@@ -1895,24 +4305,21 @@ app.get("/messages/:reportId/poll", requireAuth, async (req, res) => {
     if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
 
     const { report, currentUser } = ctx;
-    const { data: rows } = await supabase
-      .from("report_messages")
-      .select("id, sender_user_id, message, created_at")
-      .eq("report_id", report.id)
-      .order("created_at", { ascending: true });
-    const messages = rows || [];
+    const cursor = getThreadCursor(req.query);
+    const syncedAt = new Date().toISOString();
+    const { messages, hasOlder, hasNewer } = await getThreadMessagePage("report", report.id, cursor);
+    const updated = await getThreadMessageUpdates("report", report.id, req.query.updated_since);
+    const senderMap = await getSenderNames([...messages, ...updated]);
 
-    const senderIds = [...new Set(messages.map((m) => m.sender_user_id).filter(Boolean))];
-    let senderMap = {};
-    if (senderIds.length > 0) {
-      const { data: users } = await supabase.from("users").select("id, full_name").in("id", senderIds);
-      senderMap = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
-    }
-
-    req.session.lastReadReports = { ...(req.session.lastReadReports || {}), [String(report.id)]: new Date().toISOString() };
+    if (!cursor.before) await markThreadRead("report", report.id, currentUser.id, lastMessageId(messages));
     return res.json({
-      status: report.status,
-      messages: messages.map((m) => serializeChatMessage({ ...m, sender_name: senderMap[m.sender_user_id] || "User" }, currentUser.id))
+      ...threadStatusDelta(report.status, req.query.status),
+      messages: messages.map((m) => serializeChatMessage({ ...m, sender_name: m.from_guest ? report.finder_name : (senderMap[m.sender_user_id] || "User") }, currentUser.id)),
+      updated: updated.map((m) => serializeChatMessage({ ...m, sender_name: m.from_guest ? report.finder_name : (senderMap[m.sender_user_id] || "User") }, currentUser.id)),
+      synced_at: syncedAt,
+      seen_up_to: await getSeenUpTo("report", report.id, currentUser.id, report.guest_last_read_message_id),
+      ...(hasOlder === null ? {} : { has_older: hasOlder }),
+      ...(hasNewer === null ? {} : { has_newer: hasNewer })
     });
   } catch (err) {
     console.error("Message poll error:", err);
@@ -1920,7 +4327,42 @@ app.get("/messages/:reportId/poll", requireAuth, async (req, res) => {
   }
 });
 
-app.post("/messages/:reportId", requireAuth, async (req, res) => {
+// Live updates for a report thread: new messages, resolution and typing. /poll stays as the fallback.
+app.get("/messages/:reportId/stream", requireAuth, async (req, res) => {
+  try {
+    const ctx = await getAccessibleReportContext(req, res, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
+
+    const { report, currentUser } = ctx;
+    openThreadStream(req, res, `report:${report.id}`, {
+      viewer: `user:${currentUser.id}`,
+      serialize: (m) => serializeChatMessage(m, currentUser.id),
+      onMessage: (m) => {
+        if (m.sender_user_id !== currentUser.id) markThreadRead("report", report.id, currentUser.id, m.id).catch((err) => console.error("Mark read error:", err));
+      }
+    });
+  } catch (err) {
+    console.error("Message stream error:", err);
+    if (!res.headersSent) return res.status(500).json({ error: "server_error" });
+  }
+});
+
+app.post("/messages/:reportId/typing", requireAuth, async (req, res) => {
+  try {
+    const ctx = await getAccessibleReportContext(req, res, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
+
+    publishThreadEvent(`report:${ctx.report.id}`, "typing", { name: ctx.currentUser.full_name }, `user:${ctx.currentUser.id}`);
+    return res.sendStatus(204);
+  } catch (err) {
+    console.error("Message typing error:", err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+app.post("/messages/:reportId", requireAuth, upload.single("image"), async (req, res) => {
   try {
     const ctx = await getAccessibleReportContext(req, res, req.params.reportId);
     if (ctx.error === "not_found") return res.status(404).render("not_found");
@@ -1931,15 +4373,29 @@ app.post("/messages/:reportId", requireAuth, async (req, res) => {
     }
 
     const text = sanitize(req.body.message);
-    if (!text) return flashRedirect(req, res, `/messages/${ctx.report.id}`, "error", "Message cannot be empty.");
+    if (!text && !req.file) return flashRedirect(req, res, `/messages/${ctx.report.id}`, "error", "Write a message or attach a photo.");
     if (text.length > 1000) return flashRedirect(req, res, `/messages/${ctx.report.id}`, "error", "Message is too long (max 1000 chars).");
 
-    const { error } = await supabase.from("report_messages").insert({
-      report_id: ctx.report.id,
-      sender_user_id: req.session.userId,
-      message: text
-    });
-    if (error) return flashRedirect(req, res, `/messages/${ctx.report.id}`, "error", "Failed to send message.");
+    const sent = await sendThreadMessage("report", ctx.report.id, { sender_user_id: req.session.userId, message: text }, req.file, ctx.currentUser.full_name);
+    if (!sent) return flashRedirect(req, res, `/messages/${ctx.report.id}`, "error", "Failed to send message.");
+
+    // Guest finders can't see the nav badge, so owner replies reach them by email (with a cooldown)
+    if (ctx.report.is_guest && ctx.isOwner) {
+      try {
+        const { data: recentLink } = await supabase
+          .from("guest_report_tokens")
+          .select("id")
+          .eq("report_id", ctx.report.id)
+          .gte("created_at", new Date(Date.now() - GUEST_LINK_EMAIL_COOLDOWN_MS).toISOString())
+          .limit(1)
+          .maybeSingle();
+        if (!recentLink) {
+          await sendGuestReportLinkEmail(ctx.report, ctx.item.item_name, await issueGuestReportLink(ctx.report.id), `${ctx.owner.full_name} replied to your report`);
+        }
+      } catch (emailErr) {
+        console.error("Guest reply email failed:", emailErr);
+      }
+    }
 
     return res.redirect(`/messages/${ctx.report.id}`);
   } catch (err) {
@@ -1948,18 +4404,208 @@ app.post("/messages/:reportId", requireAuth, async (req, res) => {
   }
 });
 
+app.post(["/messages/:reportId/messages/:messageId/edit", "/messages/:reportId/messages/:messageId/unsend"], requireAuth, async (req, res) => {
+  try {
+    const ctx = await getAccessibleReportContext(req, res, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).render("not_found");
+    if (ctx.error === "forbidden") return res.status(403).send("Forbidden");
+
+    const userId = ctx.currentUser.id;
+    return handleThreadMessageChange(req, res, "report", ctx.report.id, `/messages/${ctx.report.id}`, (m) => m.sender_user_id === userId, ctx.currentUser.full_name);
+  } catch (err) {
+    console.error("Message change error:", err);
+    return flashRedirect(req, res, `/messages/${req.params.reportId}`, "error", "Something went wrong.");
+  }
+});
+
+// ── Guest Report Threads (magic link, one report only) ──
+
+app.get("/guest/reports/:reportId", async (req, res) => {
+  try {
+    const reportId = Number(req.params.reportId);
+
+    // Exchange a magic link key for access in this browser, then drop the key from the URL
+    if (req.query.key) {
+      const { data: record } = await supabase
+        .from("guest_report_tokens")
+        .select("id, report_id, expires_at")
+        .eq("token_hash", hashToken(req.query.key))
+        .eq("report_id", reportId)
+        .maybeSingle();
+      if (record && new Date(record.expires_at) > new Date()) {
+        req.session.guestReportIds = [...new Set([...(req.session.guestReportIds || []), reportId])];
+      }
+      return res.redirect(`/guest/reports/${reportId}`);
+    }
+
+    const ctx = await getGuestReportContext(req, reportId);
+    if (ctx.error === "not_found") return res.status(404).render("not_found");
+    if (ctx.error === "forbidden") return res.status(403).render("guest_link", { reportId });
+
+    const { report, item, owner } = ctx;
+    const syncedAt = new Date().toISOString();
+    const { messages, hasOlder } = await getThreadMessagePage("report", report.id);
+    await markThreadRead("report", report.id, null, lastMessageId(messages));
+
+    res.render("message_thread", {
+      report,
+      item,
+      messages: messages.map((m) => serializeGuestChatMessage(m, report, owner)),
+      hasOlder,
+      seenUpTo: await getSeenUpTo("report", report.id, null),
+      syncedAt,
+      counterpartName: owner?.full_name || "Owner",
+      threadUrl: `/guest/reports/${report.id}`,
+      guestView: true
+    });
+  } catch (err) {
+    console.error("Guest thread error:", err);
+    return res.status(500).send("Something went wrong.");
+  }
+});
+
+app.get("/guest/reports/:reportId/poll", async (req, res) => {
+  try {
+    const ctx = await getGuestReportContext(req, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
+
+    const { report, owner } = ctx;
+    const cursor = getThreadCursor(req.query);
+    const syncedAt = new Date().toISOString();
+    const { messages, hasOlder, hasNewer } = await getThreadMessagePage("report", report.id, cursor);
+    const updated = await getThreadMessageUpdates("report", report.id, req.query.updated_since);
+    if (!cursor.before) await markThreadRead("report", report.id, null, lastMessageId(messages));
+    return res.json({
+      ...threadStatusDelta(report.status, req.query.status),
+      messages: messages.map((m) => serializeGuestChatMessage(m, report, owner)),
+      updated: updated.map((m) => serializeGuestChatMessage(m, report, owner)),
+      synced_at: syncedAt,
+      seen_up_to: await getSeenUpTo("report", report.id, null),
+      ...(hasOlder === null ? {} : { has_older: hasOlder }),
+      ...(hasNewer === null ? {} : { has_newer: hasNewer })
+    });
+  } catch (err) {
+    console.error("Guest poll error:", err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+app.get("/guest/reports/:reportId/stream", async (req, res) => {
+  try {
+    const ctx = await getGuestReportContext(req, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
+
+    const { report, owner } = ctx;
+    openThreadStream(req, res, `report:${report.id}`, {
+      viewer: "guest",
+      serialize: (m) => serializeGuestChatMessage(m, report, owner),
+      onMessage: (m) => {
+        if (!m.from_guest) markThreadRead("report", report.id, null, m.id).catch((err) => console.error("Mark read error:", err));
+      }
+    });
+  } catch (err) {
+    console.error("Guest stream error:", err);
+    if (!res.headersSent) return res.status(500).json({ error: "server_error" });
+  }
+});
+
+app.post("/guest/reports/:reportId/typing", async (req, res) => {
+  try {
+    const ctx = await getGuestReportContext(req, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (ctx.error === "forbidden") return res.status(403).json({ error: "forbidden" });
+
+    publishThreadEvent(`report:${ctx.report.id}`, "typing", { name: ctx.report.finder_name }, "guest");
+    return res.sendStatus(204);
+  } catch (err) {
+    console.error("Guest typing error:", err);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+app.post("/guest/reports/:reportId", upload.single("image"), async (req, res) => {
+  const threadUrl = `/guest/reports/${req.params.reportId}`;
+  try {
+    const ctx = await getGuestReportContext(req, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).render("not_found");
+    if (ctx.error === "forbidden") return res.status(403).render("guest_link", { reportId: Number(req.params.reportId) });
+
+    if (ctx.report.status === REPORT_STATUS.RESOLVED) {
+      return flashRedirect(req, res, threadUrl, "error", "This conversation is closed — the report has been resolved.");
+    }
+
+    const text = sanitize(req.body.message);
+    if (!text && !req.file) return flashRedirect(req, res, threadUrl, "error", "Write a message or attach a photo.");
+    if (text.length > 1000) return flashRedirect(req, res, threadUrl, "error", "Message is too long (max 1000 chars).");
+
+    const sent = await sendThreadMessage("report", ctx.report.id, { sender_user_id: null, from_guest: true, message: text }, req.file, ctx.report.finder_name);
+    if (!sent) return flashRedirect(req, res, threadUrl, "error", "Failed to send message.");
+
+    return res.redirect(threadUrl);
+  } catch (err) {
+    console.error("Guest send message error:", err);
+    return flashRedirect(req, res, threadUrl, "error", "Something went wrong.");
+  }
+});
+
+app.post(["/guest/reports/:reportId/messages/:messageId/edit", "/guest/reports/:reportId/messages/:messageId/unsend"], async (req, res) => {
+  const threadUrl = `/guest/reports/${req.params.reportId}`;
+  try {
+    const ctx = await getGuestReportContext(req, req.params.reportId);
+    if (ctx.error === "not_found") return res.status(404).render("not_found");
+    if (ctx.error === "forbidden") return res.status(403).render("guest_link", { reportId: Number(req.params.reportId) });
+
+    return handleThreadMessageChange(req, res, "report", ctx.report.id, threadUrl, (m) => m.from_guest, ctx.report.finder_name);
+  } catch (err) {
+    console.error("Guest message change error:", err);
+    return flashRedirect(req, res, threadUrl, "error", "Something went wrong.");
+  }
+});
+
+// Email a fresh link to the guest finder (only ever to the address on the report)
+app.post("/guest/reports/:reportId/link", async (req, res) => {
+  const reportId = Number(req.params.reportId);
+  const doneMessage = "If that email matches the report, we sent a new link to it.";
+  try {
+    const email = sanitize(req.body.email).toLowerCase();
+    const lastSent = (req.session.lastGuestLinkRequest || {})[reportId] || 0;
+    if (Date.now() - lastSent < GUEST_CODE_RESEND_MS) {
+      return flashRedirect(req, res, `/guest/reports/${reportId}`, "error", "Please wait a minute before requesting another link.");
+    }
+    req.session.lastGuestLinkRequest = { ...(req.session.lastGuestLinkRequest || {}), [reportId]: Date.now() };
+
+    const { data: report } = await supabase
+      .from("finder_reports")
+      .select("id, item_id, finder_name, finder_email")
+      .eq("id", reportId)
+      .eq("is_guest", true)
+      .maybeSingle();
+    if (report && email && String(report.finder_email).toLowerCase() === email) {
+      const { data: item } = await supabase.from("items").select("item_name").eq("id", report.item_id).maybeSingle();
+      await sendGuestReportLinkEmail(report, item?.item_name || "your report", await issueGuestReportLink(report.id), "Here's your new link");
+    }
+    return flashRedirect(req, res, `/guest/reports/${reportId}`, "success", doneMessage);
+  } catch (err) {
+    console.error("Guest link request error:", err);
+    return flashRedirect(req, res, `/guest/reports/${reportId}`, "error", "Something went wrong.");
+  }
+});
+
 // ── Resolve a finder report ──
 
 app.post("/report/:id/resolve", requireAuth, async (req, res) => {
   try {
-    const { data: report } = await supabase.from("finder_reports").select("id, item_id").eq("id", Number(req.params.id)).maybeSingle();
+    const { data: report } = await supabase.from("finder_reports").select("id, item_id, owner_user_id").eq("id", Number(req.params.id)).maybeSingle();
     if (!report) return res.status(404).render("not_found");
 
-    // Make sure the logged-in user owns the item
-    const item = await getOwnedItem(req, report.item_id);
-    if (!item) return res.status(403).send("Forbidden");
+    // Make sure the logged-in user answers this report (item owner, or previous owner who kept it)
+    const { data: item } = await supabase.from("items").select("id, user_id").eq("id", report.item_id).maybeSingle();
+    if (!item || getReportOwnerId(report, item) !== req.session.userId) return res.status(403).send("Forbidden");
 
     await supabase.from("finder_reports").update({ status: REPORT_STATUS.RESOLVED }).eq("id", report.id);
+    publishThreadEvent(`report:${report.id}`, "status", { status: REPORT_STATUS.RESOLVED });
     setFlash(req, "success", "Report marked as resolved.");
     return res.redirect("/dashboard");
   } catch (err) {
@@ -1984,15 +4630,27 @@ app.get("/account", requireAuth, async (req, res) => {
 
     let openReports = 0;
     let resolvedReports = 0;
-    if (itemIds.length > 0) {
-      const { data: reports } = await supabase.from("finder_reports").select("status").in("item_id", itemIds);
-      for (const r of reports || []) {
-        if (r.status === REPORT_STATUS.OPEN) openReports++;
-        else resolvedReports++;
-      }
+    const { data: reports } = await ownedReportsQuery(req.session.userId, itemIds, "status");
+    for (const r of reports || []) {
+      if (r.status === REPORT_STATUS.OPEN) openReports++;
+      else resolvedReports++;
+    }
+
+    const { data: savedRows } = await supabase
+      .from("saved_searches")
+      .select("id, item_id, keywords, category, building_id, location, found_from, found_to, expires_at, last_alerted_at, campus_buildings(name)")
+      .eq("user_id", req.session.userId)
+      .gt("expires_at", new Date().toISOString())
+      .order("created_at", { ascending: false });
+    const savedItemIds = [...new Set((savedRows || []).map((s) => s.item_id).filter(Boolean))];
+    let savedItemNames = {};
+    if (savedItemIds.length > 0) {
+      const { data: savedItems } = await supabase.from("items").select("id, item_name").in("id", savedItemIds);
+      savedItemNames = Object.fromEntries((savedItems || []).map((i) => [i.id, i.item_name]));
     }
 
     res.render("account", {
+      savedSearches: (savedRows || []).map((s) => ({ ...s, summary: describeSavedSearch(s), item_name: savedItemNames[s.item_id] || null })),
       createdAt: user?.created_at || new Date().toISOString(),
       itemCount: (items || []).length,
       openReports, resolvedReports
@@ -2060,65 +4718,733 @@ app.post("/account/password", requireAuth, async (req, res) => {
     setFlash(req, "success", "Password updated.");
     return res.redirect("/account");
   } catch (err) {
-    console.error("Password change error:", err);
-    setFlash(req, "error", "Something went wrong.");
-    return res.redirect("/account");
+    console.error("Password change error:", err);
+    setFlash(req, "error", "Something went wrong.");
+    return res.redirect("/account");
+  }
+});
+
+app.post("/account/password/reset-link", requireAuth, async (req, res) => {
+  try {
+    const email = String(res.locals.currentUser?.email || "").toLowerCase();
+    if (!email) return flashRedirect(req, res, "/account", "error", "Unable to find your account email.");
+
+    const rawToken = crypto.randomBytes(32).toString("hex");
+    const tokenHash = hashToken(rawToken);
+    const expiresAt = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+
+    await supabase.from("password_reset_tokens").insert({
+      user_id: req.session.userId,
+      token_hash: tokenHash,
+      expires_at: expiresAt
+    });
+
+    await sendPasswordResetEmail(email, buildResetLink(rawToken));
+    return flashRedirect(req, res, "/account", "success", "Password reset link sent to your email. Check spam/junk if you don’t see it.");
+  } catch (err) {
+    console.error("Account reset link error:", err);
+    return flashRedirect(req, res, "/account", "error", "Something went wrong.");
+  }
+});
+
+// ── Change Item Status (active / lost / recovered) ──
+
+async function handleItemStatusChange(req, res, itemStatusInput) {
+  const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name, item_description, category, item_status, created_at");
+  if (!item) { setFlash(req, "error", "Item not found."); return res.redirect("/dashboard"); }
+  const backUrl = req.body?.return_to === "item" ? `/item/${item.id}` : "/dashboard";
+
+  const fallbackNextStatus = item.item_status === ITEM_STATUS.ACTIVE
+    ? ITEM_STATUS.LOST
+    : item.item_status === ITEM_STATUS.LOST
+      ? ITEM_STATUS.RECOVERED
+      : ITEM_STATUS.ACTIVE;
+  const item_status = itemStatusInput || fallbackNextStatus;
+  if (!ITEM_STATUS_VALUES.includes(item_status)) { setFlash(req, "error", "Invalid status."); return res.redirect(backUrl); }
+  if (item_status === item.item_status) { setFlash(req, "error", "The item already has that status."); return res.redirect(backUrl); }
+
+  const note = sanitize(req.body?.note || "");
+  if (note.length > 500) { setFlash(req, "error", "Note must be 500 characters or fewer."); return res.redirect(backUrl); }
+
+  // An optional finder report (e.g. the one that led to recovery) must belong to this item
+  let report_id = null;
+  if (req.body?.report_id) {
+    const { data: report } = await supabase.from("finder_reports").select("id").eq("id", Number(req.body.report_id)).eq("item_id", item.id).maybeSingle();
+    if (!report) { setFlash(req, "error", "That report doesn't belong to this item."); return res.redirect(backUrl); }
+    report_id = report.id;
+  }
+
+  // Where it was lost (optional directory building) only means something while it's on the Lost Board
+  let lost_building_id = null;
+  if (item_status === ITEM_STATUS.LOST && req.body?.lost_building_id) {
+    const { data: building } = await supabase.from("campus_buildings").select("id").eq("id", Number(req.body.lost_building_id)).maybeSingle();
+    lost_building_id = building?.id || null;
+  }
+
+  const { error } = await supabase.from("items").update({ item_status, lost_building_id }).eq("id", item.id);
+  if (error) { setFlash(req, "error", "Couldn't update the status. Please try again."); return res.redirect(backUrl); }
+  await recordItemHistory({
+    item_id: item.id,
+    event_type: "status",
+    actor_user_id: req.session.userId,
+    from_status: item.item_status,
+    to_status: item_status,
+    report_id,
+    note: note || null
+  });
+  if (item_status === ITEM_STATUS.LOST) {
+    await matchLostItem({ ...item, lost_building_id });
+    // Offer (once, on the next page) to save a Found Board search for it
+    req.session.savedSearchSuggestion = {
+      item_id: item.id,
+      item_name: item.item_name,
+      keywords: item.item_name,
+      category: item.category && item.category !== "Other" ? item.category : ""
+    };
+  }
+
+  const statusMessages = {
+    lost: `"${item.item_name}" is now listed on the Lost Board. Others can spot it and let you know!`,
+    recovered: `Great news! "${item.item_name}" is marked as recovered.`,
+    active: `"${item.item_name}" is back to active.`
+  };
+  setFlash(req, "success", statusMessages[item_status] || `Status updated.`);
+  return res.redirect(backUrl);
+}
+
+app.post("/item/:id/status", requireAuth, async (req, res) => {
+  return handleItemStatusChange(req, res, req.body.item_status);
+});
+
+app.get("/item/:id/status", requireAuth, async (req, res) => {
+  return handleItemStatusChange(req, res, sanitize(req.query.item_status || ""));
+});
+
+// ── Item Detail (status and ownership timeline) ──
+
+app.get("/item/:id", requireAuth, async (req, res) => {
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name, item_description, category, item_status, image_url, created_at");
+    if (!item) return res.status(404).render("not_found");
+
+    const [[itemWithPhotos], timelines, { data: reports }, { data: buildings }] = await Promise.all([
+      attachPhotos("item", [item]),
+      getItemTimelines([item.id]),
+      supabase.from("finder_reports").select("id, finder_name, location_hint, status, created_at").eq("item_id", item.id).order("created_at", { ascending: false }),
+      supabase.from("campus_buildings").select("id, name").order("name")
+    ]);
+
+    res.render("item_detail", {
+      savedSearchSuggestion: takeSavedSearchSuggestion(req),
+      item: itemWithPhotos,
+      timeline: timelines[item.id] || [],
+      reports: reports || [],
+      buildings: buildings || [],
+      statuses: ITEM_STATUS_VALUES
+    });
+  } catch (err) {
+    console.error("Item detail error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Couldn't load the item. Please try again.");
+  }
+});
+
+// ── Return Instructions & Reward (shown to finders on the QR page) ──
+
+app.post("/item/:id/return-info", requireAuth, async (req, res) => {
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name");
+    if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+
+    const { values, error: validationError } = parseReturnInfo(req.body);
+    if (validationError) return flashRedirect(req, res, "/dashboard", "error", validationError);
+
+    const { error } = await supabase.from("items").update({
+      return_instructions_active: values.active || null,
+      return_instructions_lost: values.lost || null,
+      reward_note: values.reward || null
+    }).eq("id", item.id);
+    if (error) return flashRedirect(req, res, "/dashboard", "error", "Couldn't save the return instructions. Please try again.");
+
+    return flashRedirect(req, res, "/dashboard", "success", `Return instructions for "${item.item_name}" saved.`);
+  } catch (err) {
+    console.error("Item return info error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Something went wrong.");
+  }
+});
+
+app.post("/account/return-info", requireAuth, async (req, res) => {
+  try {
+    const { values, error: validationError } = parseReturnInfo(req.body);
+    if (validationError) return flashRedirect(req, res, "/dashboard", "error", validationError);
+
+    const { error } = await supabase.from("users").update({
+      default_return_instructions_active: values.active || null,
+      default_return_instructions_lost: values.lost || null,
+      default_reward_note: values.reward || null
+    }).eq("id", req.session.userId);
+    if (error) return flashRedirect(req, res, "/dashboard", "error", "Couldn't save your default instructions. Please try again.");
+
+    return flashRedirect(req, res, "/dashboard", "success", "Default return instructions saved. They apply to every item without its own.");
+  } catch (err) {
+    console.error("Default return info error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Something went wrong.");
+  }
+});
+
+// ── Replace QR Label (rotate the item's token) ──
+
+app.get("/item/:id/label", requireAuth, async (req, res) => {
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name, item_status, token, qr_data_url, created_at");
+    if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+
+    const { data: retiredLabels } = await supabase
+      .from("retired_item_tokens")
+      .select("id, token, show_notice, retired_at")
+      .eq("item_id", item.id)
+      .order("retired_at", { ascending: false });
+
+    res.render("item_label", { item, retiredLabels: retiredLabels || [], baseUrl: BASE_URL });
+  } catch (err) {
+    console.error("Item label page error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Couldn't load the label details. Please try again.");
+  }
+});
+
+// Issue a new token + QR code. The old token is kept as a retired label so the
+// printed sticker stops working but still explains why when scanned.
+app.post("/item/:id/label/rotate", requireAuth, async (req, res) => {
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name, token");
+    if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+
+    const token = generateToken();
+    const qr_data_url = await QRCode.toDataURL(`${BASE_URL}/found/${token}`);
+    const show_notice = req.body.show_notice === "on";
+
+    const { error: retireError } = await supabase
+      .from("retired_item_tokens")
+      .insert({ item_id: item.id, token: item.token, show_notice });
+    if (retireError) return flashRedirect(req, res, `/item/${item.id}/label`, "error", "Couldn't replace the label. Please try again.");
+
+    const { error } = await supabase.from("items").update({ token, qr_data_url }).eq("id", item.id);
+    if (error) {
+      await supabase.from("retired_item_tokens").delete().eq("token", item.token);
+      return flashRedirect(req, res, `/item/${item.id}/label`, "error", "Couldn't replace the label. Please try again.");
+    }
+
+    return flashRedirect(req, res, `/item/${item.id}/label`, "success", `New label ready for "${item.item_name}". Print it and replace the old sticker — the old QR code no longer works.`);
+  } catch (err) {
+    console.error("Rotate label error:", err);
+    return flashRedirect(req, res, `/item/${req.params.id}/label`, "error", "Something went wrong.");
+  }
+});
+
+// ── Transfer Item Ownership (token and QR code move with the item) ──
+
+app.get("/item/:id/transfer", requireAuth, async (req, res) => {
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name, item_status, image_url");
+    if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+
+    const [{ data: pendingTransfer }, { data: openReports }, { data: historyRows }] = await Promise.all([
+      supabase.from("item_transfers").select("id, to_user_id, handover_reports, created_at").eq("item_id", item.id).eq("status", TRANSFER_STATUS.PENDING).maybeSingle(),
+      supabase.from("finder_reports").select("id").eq("item_id", item.id).is("owner_user_id", null).eq("status", REPORT_STATUS.OPEN),
+      supabase.from("item_history").select("id, actor_user_id, from_user_id, to_user_id, note, created_at").eq("item_id", item.id).eq("event_type", "transfer").order("created_at", { ascending: false })
+    ]);
+    const history = historyRows || [];
+
+    const userIds = [...new Set([pendingTransfer?.to_user_id, ...history.flatMap((h) => [h.from_user_id, h.to_user_id])].filter(Boolean))];
+    let usersById = {};
+    if (userIds.length > 0) {
+      const { data: users } = await supabase.from("users").select("id, full_name, username").in("id", userIds);
+      usersById = Object.fromEntries((users || []).map((u) => [u.id, u]));
+    }
+
+    res.render("item_transfer", {
+      item,
+      pendingTransfer: pendingTransfer ? { ...pendingTransfer, recipient: usersById[pendingTransfer.to_user_id] || null } : null,
+      openReportCount: (openReports || []).length,
+      history: history.map((h) => ({ ...h, from_user: usersById[h.from_user_id] || null, to_user: usersById[h.to_user_id] || null }))
+    });
+  } catch (err) {
+    console.error("Item transfer page error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Couldn't load the transfer page. Please try again.");
+  }
+});
+
+app.post("/item/:id/transfer", requireAuth, async (req, res) => {
+  const backUrl = `/item/${req.params.id}/transfer`;
+  try {
+    const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name");
+    if (!item) return flashRedirect(req, res, "/dashboard", "error", "Item not found.");
+
+    const recipientRaw = sanitize(req.body.recipient || "");
+    if (!recipientRaw) return flashRedirect(req, res, backUrl, "error", "Enter the new owner's username or school email.");
+    const handover_reports = req.body.reports === "handover";
+
+    const lookupQuery = recipientRaw.includes("@")
+      ? supabase.from("users").select("id, full_name, email, is_banned, email_verified").eq("email", normalizeSchoolEmailInput(recipientRaw))
+      : supabase.from("users").select("id, full_name, email, is_banned, email_verified").eq("username", normalizeUsername(recipientRaw));
+    const { data: recipient } = await lookupQuery.maybeSingle();
+    if (!recipient || recipient.is_banned || !recipient.email_verified) {
+      return flashRedirect(req, res, backUrl, "error", "No active PUTrace account matches that username or email.");
+    }
+    if (recipient.id === req.session.userId) return flashRedirect(req, res, backUrl, "error", "You already own this item.");
+
+    const { data: pending } = await supabase.from("item_transfers").select("id").eq("item_id", item.id).eq("status", TRANSFER_STATUS.PENDING).maybeSingle();
+    if (pending) return flashRedirect(req, res, backUrl, "error", "This item already has a pending transfer. Cancel it first.");
+
+    const { data: transfer, error } = await supabase
+      .from("item_transfers")
+      .insert({ item_id: item.id, from_user_id: req.session.userId, to_user_id: recipient.id, handover_reports, status: TRANSFER_STATUS.PENDING })
+      .select("id")
+      .maybeSingle();
+    if (error || !transfer) return flashRedirect(req, res, backUrl, "error", "Couldn't start the transfer. Please try again.");
+
+    // Email the recipient
+    try {
+      const sender = res.locals.currentUser;
+      await sendEmail(recipient.email, `${sender?.full_name || "Someone"} wants to transfer an item to you — ${item.item_name}`,
+        `<h2 style="margin:0 0 16px;font-size:1.2rem;">Item transfer request</h2>
+         <p>Hi <strong>${recipient.full_name || 'there'}</strong>,</p>
+         <p><strong>${sender?.full_name || 'A PUTrace user'}</strong> wants to make you the owner of <strong>${item.item_name}</strong> on PUTrace. The QR sticker already on the item keeps working, so finders will reach you once you accept.</p>
+         <p style="margin-top:20px;">
+           <a href="${BASE_URL}/transfers/${transfer.id}" style="display:inline-block;background:#3a56e4;color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;">Review Transfer</a>
+         </p>
+         <p style="color:#888;font-size:0.87rem;">If you weren't expecting this, you can decline it from the same page.</p>`);
+    } catch (emailErr) {
+      console.error("Transfer request email failed:", emailErr);
+    }
+
+    return flashRedirect(req, res, backUrl, "success", `Transfer request sent to ${recipient.full_name}. They'll become the owner once they accept.`);
+  } catch (err) {
+    console.error("Start transfer error:", err);
+    return flashRedirect(req, res, backUrl, "error", "Something went wrong.");
+  }
+});
+
+app.get("/transfers/:id", requireAuth, async (req, res) => {
+  try {
+    const transfer = await getUserTransfer(req, req.params.id, "to_user_id");
+    if (!transfer) return res.status(404).render("not_found");
+
+    const [{ data: item }, { data: sender }] = await Promise.all([
+      supabase.from("items").select("id, item_name, item_description, category, image_url").eq("id", transfer.item_id).maybeSingle(),
+      supabase.from("users").select("id, full_name, username").eq("id", transfer.from_user_id).maybeSingle()
+    ]);
+    if (!item) return res.status(404).render("not_found");
+
+    res.render("transfer_offer", { transfer, item: (await attachPhotos("item", [item]))[0], sender });
+  } catch (err) {
+    console.error("Transfer offer page error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Couldn't load the transfer. Please try again.");
+  }
+});
+
+app.post("/transfers/:id/accept", requireAuth, async (req, res) => {
+  const backUrl = `/transfers/${req.params.id}`;
+  try {
+    const transfer = await getUserTransfer(req, req.params.id, "to_user_id");
+    if (!transfer) return res.status(404).render("not_found");
+    if (transfer.status !== TRANSFER_STATUS.PENDING) return flashRedirect(req, res, backUrl, "error", "This transfer is no longer pending.");
+
+    // Claim the transfer first, so a concurrent decline or cancel (or a second accept) can't also go through
+    const { data: claimed, error: claimError } = await supabase
+      .from("item_transfers")
+      .update({ status: TRANSFER_STATUS.ACCEPTED, responded_at: new Date().toISOString() })
+      .eq("id", transfer.id)
+      .eq("status", TRANSFER_STATUS.PENDING)
+      .select("id")
+      .maybeSingle();
+    if (claimError) return flashRedirect(req, res, backUrl, "error", "Couldn't complete the transfer. Please try again.");
+    if (!claimed) return flashRedirect(req, res, backUrl, "error", "This transfer is no longer pending.");
+
+    // Only move the item if the sender still owns it
+    const { data: moved, error } = await supabase
+      .from("items")
+      .update({ user_id: transfer.to_user_id })
+      .eq("id", transfer.item_id)
+      .eq("user_id", transfer.from_user_id)
+      .select("id, item_name")
+      .maybeSingle();
+    if (error) {
+      await supabase.from("item_transfers").update({ status: TRANSFER_STATUS.PENDING, responded_at: null }).eq("id", transfer.id);
+      return flashRedirect(req, res, backUrl, "error", "Couldn't complete the transfer. Please try again.");
+    }
+    if (!moved) {
+      await supabase.from("item_transfers").update({ status: TRANSFER_STATUS.CANCELLED }).eq("id", transfer.id);
+      return flashRedirect(req, res, "/dashboard", "error", "This item is no longer owned by the sender, so the transfer was cancelled.");
+    }
+
+    // Reports the sender kept stay pinned to them; handed-over reports follow the item
+    if (!transfer.handover_reports) {
+      await supabase.from("finder_reports").update({ owner_user_id: transfer.from_user_id }).eq("item_id", transfer.item_id).is("owner_user_id", null);
+    }
+
+    await recordItemHistory({
+      item_id: transfer.item_id,
+      event_type: "transfer",
+      actor_user_id: req.session.userId,
+      from_user_id: transfer.from_user_id,
+      to_user_id: transfer.to_user_id,
+      note: transfer.handover_reports ? "Finder reports handed over" : "Finder reports kept by previous owner"
+    });
+
+    // Let the sender know
+    try {
+      const { data: sender } = await supabase.from("users").select("email, full_name").eq("id", transfer.from_user_id).maybeSingle();
+      if (sender?.email) {
+        await sendEmail(sender.email, `Transfer accepted — ${moved.item_name}`,
+          `<h2 style="margin:0 0 16px;font-size:1.2rem;">Transfer accepted</h2>
+           <p>Hi <strong>${sender.full_name || 'there'}</strong>,</p>
+           <p><strong>${res.locals.currentUser?.full_name || 'The recipient'}</strong> accepted <strong>${moved.item_name}</strong>. It no longer appears on your dashboard${transfer.handover_reports ? ', and its finder reports moved with it' : ', but you can still follow its existing finder reports in Messages'}.</p>`);
+      }
+    } catch (emailErr) {
+      console.error("Transfer accepted email failed:", emailErr);
+    }
+
+    return flashRedirect(req, res, "/dashboard", "success", `"${moved.item_name}" is now yours. Its QR sticker keeps working.`);
+  } catch (err) {
+    console.error("Accept transfer error:", err);
+    return flashRedirect(req, res, backUrl, "error", "Something went wrong.");
+  }
+});
+
+app.post("/transfers/:id/decline", requireAuth, async (req, res) => {
+  try {
+    const transfer = await getUserTransfer(req, req.params.id, "to_user_id");
+    if (!transfer) return res.status(404).render("not_found");
+    if (transfer.status === TRANSFER_STATUS.PENDING) {
+      await supabase.from("item_transfers").update({ status: TRANSFER_STATUS.DECLINED, responded_at: new Date().toISOString() }).eq("id", transfer.id).eq("status", TRANSFER_STATUS.PENDING);
+    }
+    return flashRedirect(req, res, "/dashboard", "success", "Transfer declined.");
+  } catch (err) {
+    console.error("Decline transfer error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Something went wrong.");
+  }
+});
+
+app.post("/transfers/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const transfer = await getUserTransfer(req, req.params.id, "from_user_id");
+    if (!transfer) return res.status(404).render("not_found");
+    if (transfer.status === TRANSFER_STATUS.PENDING) {
+      await supabase.from("item_transfers").update({ status: TRANSFER_STATUS.CANCELLED, responded_at: new Date().toISOString() }).eq("id", transfer.id).eq("status", TRANSFER_STATUS.PENDING);
+    }
+    return flashRedirect(req, res, `/item/${transfer.item_id}/transfer`, "success", "Transfer cancelled.");
+  } catch (err) {
+    console.error("Cancel transfer error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Something went wrong.");
+  }
+});
+
+// ── Hand In Found Post (to the lost-and-found office) ──
+
+app.post("/found-items/:id/surrender", requireAuth, async (req, res) => {
+  const backUrl = req.body.return_to === "dashboard" ? "/dashboard" : "/found-items";
+  try {
+    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id").eq("id", Number(req.params.id)).maybeSingle();
+    if (!post || post.finder_user_id !== req.session.userId) return flashRedirect(req, res, backUrl, "error", "Post not found.");
+    const surrendered = await surrenderFoundPost(post.id, req.session.userId);
+    if (!surrendered) return flashRedirect(req, res, backUrl, "error", "Only unclaimed posts can be handed in.");
+    return flashRedirect(req, res, backUrl, "success", `Thanks! "${surrendered.item_name}" is now listed as held at ${LOST_AND_FOUND_OFFICE}.`);
+  } catch (err) {
+    console.error("Surrender found post error:", err);
+    return flashRedirect(req, res, backUrl, "error", "Something went wrong.");
+  }
+});
+
+// ── Lost-and-found Office Desk (custodians only) ──
+
+app.get("/office", requireCustodian, async (req, res) => {
+  try {
+    const officeId = res.locals.custodianOfficeId;
+    const office = await getCustodyOffice(officeId);
+    if (!office) return flashRedirect(req, res, "/dashboard", "error", "Your office is no longer set up. Ask an admin.");
+
+    const [page, { data: incoming }, { data: releases }, directory] = await Promise.all([
+      fetchKeysetPage(
+        supabase.from("found_posts").select("id, item_name, category, image_url, status, storage_location, surrendered_at, created_at").eq("office_id", officeId).in("status", HELD_POST_STATUSES),
+        req.query.cursor, ADMIN_PAGE_SIZE
+      ),
+      // Posts due to be handed in (or already handed in) that no office has logged yet
+      supabase
+        .from("found_posts")
+        .select("id, item_name, finder_name, image_url, status, location_found, created_at, turnover_requested_at, surrendered_at")
+        .is("office_id", null)
+        .or("and(status.eq.unclaimed,turnover_requested_at.not.is.null),status.eq.surrendered")
+        .order("created_at", { ascending: true })
+        .limit(ADMIN_PAGE_SIZE),
+      supabase
+        .from("custody_events")
+        .select("id, found_post_id, released_to_user_id, released_to_name, id_type, created_at, found_posts(item_name)")
+        .eq("office_id", officeId)
+        .eq("event_type", "release")
+        .order("created_at", { ascending: false })
+        .limit(10),
+      getCampusDirectory()
+    ]);
+
+    const heldIds = page.rows.map((p) => p.id);
+    let claimCounts = {};
+    if (heldIds.length > 0) {
+      const { data: claims } = await supabase.from("found_claims").select("found_post_id").in("found_post_id", heldIds).eq("status", "open");
+      (claims || []).forEach((c) => { claimCounts[c.found_post_id] = (claimCounts[c.found_post_id] || 0) + 1; });
+    }
+
+    const releasedToIds = [...new Set((releases || []).map((r) => r.released_to_user_id).filter(Boolean))];
+    let namesById = {};
+    if (releasedToIds.length > 0) {
+      const { data: users } = await supabase.from("users").select("id, full_name").in("id", releasedToIds);
+      namesById = Object.fromEntries((users || []).map((u) => [u.id, u.full_name]));
+    }
+
+    res.render("office_desk", {
+      office,
+      heldPosts: page.rows.map((p) => ({ ...p, claim_count: claimCounts[p.id] || 0 })),
+      incomingPosts: incoming || [],
+      releases: (releases || []).map((r) => ({ ...r, item_name: r.found_posts?.item_name || "Deleted post", released_to: namesById[r.released_to_user_id] || r.released_to_name || "Unknown" })),
+      isFirstPage: !req.query.cursor,
+      nextPageUrl: page.nextCursor ? pageUrl("/office", { cursor: page.nextCursor }) : null,
+      categories: (await getCategories()).active,
+      campusPlaces: directory.entries,
+      maxPhotos: MAX_PHOTOS,
+      maxStorageLength: MAX_STORAGE_LOCATION_LENGTH
+    });
+  } catch (err) {
+    console.error("Office desk error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Couldn't load the office desk.");
+  }
+});
+
+// Intake: an item brought straight to the counter, posted on the Found Board as held by the office
+app.post("/office/intake", requireCustodian, upload.array("images", MAX_PHOTOS), async (req, res) => {
+  try {
+    const officeId = res.locals.custodianOfficeId;
+    const office = await getCustodyOffice(officeId);
+    if (!office) return flashRedirect(req, res, "/dashboard", "error", "Your office is no longer set up. Ask an admin.");
+
+    const [{ entries }, categories] = await Promise.all([getCampusDirectory(), getCategories()]);
+    const { error: formError, fields } = readFoundPostForm(req.body, entries, categories.active);
+    if (formError) return flashRedirect(req, res, "/office", "error", formError);
+    const received_from = sanitize(req.body.received_from);
+    const storage_location = sanitize(req.body.storage_location);
+    if (received_from.length > 150) return flashRedirect(req, res, "/office", "error", "Keep who brought it in under 150 characters.");
+    if (storage_location.length > MAX_STORAGE_LOCATION_LENGTH) return flashRedirect(req, res, "/office", "error", `Keep the storage bin or shelf under ${MAX_STORAGE_LOCATION_LENGTH} characters.`);
+
+    const uploads = await uploadImages(orderFilesWithCover(req.files, req.body.cover_index), "found");
+    const imageUrls = uploads.map((u) => u.image_url);
+
+    // Owned by the office, not a person: no finder account, claims go to every custodian
+    const { data: created, error } = await supabase.from("found_posts").insert({
+      ...fields,
+      finder_name: office.name,
+      finder_email: res.locals.currentUser.email,
+      finder_user_id: null,
+      office_id: office.id,
+      storage_location: storage_location || null,
+      image_url: imageUrls[0] || null,
+      status: "surrendered",
+      surrendered_at: new Date().toISOString(),
+      surrendered_by: req.session.userId
+    }).select("id, finder_user_id, item_name, item_description, category, location_found, building_id, found_at, created_at").maybeSingle();
+
+    if (error || !created) {
+      await removeImages(imageUrls);
+      return flashRedirect(req, res, "/office", "error", "Couldn't log the item. Please try again.");
+    }
+    if (uploads.length > 0) await savePhotoGallery("found", created.id, uploads);
+    await recordCustodyEvent({
+      found_post_id: created.id, event_type: "intake", office_id: office.id, recorded_by: req.session.userId,
+      received_from: received_from || null, received_by: res.locals.currentUser.full_name, storage_location: storage_location || null
+    });
+    await matchFoundPost(created);
+    await alertSavedSearches(created);
+    return flashRedirect(req, res, `/office/posts/${created.id}`, "success", `Logged! "${created.item_name}" is on the Found Board as held at ${office.name}.`);
+  } catch (err) {
+    console.error("Office intake error:", err);
+    return flashRedirect(req, res, "/office", "error", "Something went wrong.");
+  }
+});
+
+// Receive a student's found post at the counter (due for turnover, or already marked handed in)
+app.post("/office/posts/:id/receive", requireCustodian, async (req, res) => {
+  try {
+    const officeId = res.locals.custodianOfficeId;
+    const storage_location = sanitize(req.body.storage_location);
+    if (storage_location.length > MAX_STORAGE_LOCATION_LENGTH) return flashRedirect(req, res, "/office", "error", `Keep the storage bin or shelf under ${MAX_STORAGE_LOCATION_LENGTH} characters.`);
+
+    // Only what's on the desk's incoming list: posts due for turnover or already marked handed in
+    const { data: post } = await supabase
+      .from("found_posts")
+      .select("id, item_name, finder_name, status, office_id, turnover_requested_at")
+      .eq("id", Number(req.params.id))
+      .maybeSingle();
+    const isIncoming = post && !post.office_id && (post.status === "surrendered" || (post.status === "unclaimed" && post.turnover_requested_at));
+    if (!isIncoming) return flashRedirect(req, res, "/office", "error", "That item isn't waiting to be handed in.");
+
+    // A claimer is already talking to the finder; taking custody would cut the finder out of that conversation
+    const { count: openClaims } = await supabase
+      .from("found_claims")
+      .select("id", { count: "exact", head: true })
+      .eq("found_post_id", post.id)
+      .eq("status", "open");
+    if (openClaims > 0) {
+      return flashRedirect(req, res, "/office", "error", "Someone has an open claim on that item. Let the finder settle it before taking it in.");
+    }
+    if (post.status === "unclaimed" && !(await surrenderFoundPost(post.id, req.session.userId))) {
+      return flashRedirect(req, res, "/office", "error", "That item isn't waiting to be handed in.");
+    }
+
+    const { data: received } = await supabase
+      .from("found_posts")
+      .update({ office_id: officeId, storage_location: storage_location || null })
+      .eq("id", post.id)
+      .is("office_id", null)
+      .select("id")
+      .maybeSingle();
+    if (!received) return flashRedirect(req, res, "/office", "error", "Another office already logged this item.");
+
+    await recordCustodyEvent({
+      found_post_id: post.id, event_type: "intake", office_id: officeId, recorded_by: req.session.userId,
+      received_from: post.finder_name, received_by: res.locals.currentUser.full_name, storage_location: storage_location || null
+    });
+    return flashRedirect(req, res, `/office/posts/${post.id}`, "success", `Received "${post.item_name}".`);
+  } catch (err) {
+    console.error("Office receive error:", err);
+    return flashRedirect(req, res, "/office", "error", "Something went wrong.");
+  }
+});
+
+// A post held at the custodian's own office, or null
+async function getOfficePost(res, postId, columns = "*") {
+  const { data: post } = await supabase.from("found_posts").select(columns).eq("id", Number(postId)).maybeSingle();
+  if (!post || post.office_id !== res.locals.custodianOfficeId) return null;
+  return post;
+}
+
+app.get("/office/posts/:id", requireCustodian, async (req, res) => {
+  try {
+    const post = await getOfficePost(res, req.params.id);
+    if (!post) return res.status(404).render("not_found");
+
+    const [[postWithPhotos], timeline, { data: claimRows }, { data: offices }] = await Promise.all([
+      attachPhotos("found", [post]),
+      getCustodyTimeline(post.id),
+      supabase.from("found_claims").select("id, claimer_user_id, status, created_at").eq("found_post_id", post.id).neq("status", "rejected").order("created_at", { ascending: false }),
+      supabase.from("custody_offices").select("id, name").order("name", { ascending: true })
+    ]);
+
+    const claimerIds = [...new Set((claimRows || []).map((c) => c.claimer_user_id).filter(Boolean))];
+    let usersById = {};
+    if (claimerIds.length > 0) {
+      const { data: users } = await supabase.from("users").select("id, full_name, email").in("id", claimerIds);
+      usersById = Object.fromEntries((users || []).map((u) => [u.id, u]));
+    }
+
+    res.render("office_post", {
+      post: postWithPhotos,
+      isHeld: HELD_POST_STATUSES.includes(post.status),
+      timeline,
+      claims: (claimRows || []).map((c) => ({ ...c, claimer_name: usersById[c.claimer_user_id]?.full_name || "Claimer", claimer_email: usersById[c.claimer_user_id]?.email || "" })),
+      offices: offices || [],
+      idTypes: CUSTODY_ID_TYPES,
+      maxStorageLength: MAX_STORAGE_LOCATION_LENGTH
+    });
+  } catch (err) {
+    console.error("Office post error:", err);
+    return flashRedirect(req, res, "/office", "error", "Couldn't load that item.");
   }
 });
 
-app.post("/account/password/reset-link", requireAuth, async (req, res) => {
+// Handoff: the item changes hands inside the office, moves shelf, or goes to another office
+app.post("/office/posts/:id/handoff", requireCustodian, async (req, res) => {
+  const backUrl = `/office/posts/${req.params.id}`;
   try {
-    const email = String(res.locals.currentUser?.email || "").toLowerCase();
-    if (!email) return flashRedirect(req, res, "/account", "error", "Unable to find your account email.");
-
-    const rawToken = crypto.randomBytes(32).toString("hex");
-    const tokenHash = hashToken(rawToken);
-    const expiresAt = new Date(Date.now() + 30 * 60 * 1000).toISOString();
-
-    await supabase.from("password_reset_tokens").insert({
-      user_id: req.session.userId,
-      token_hash: tokenHash,
-      expires_at: expiresAt
+    const officeId = res.locals.custodianOfficeId;
+    const post = await getOfficePost(res, req.params.id, "id, item_name, status, office_id, storage_location");
+    if (!post) return res.status(404).render("not_found");
+    if (!HELD_POST_STATUSES.includes(post.status)) return flashRedirect(req, res, backUrl, "error", "This item is no longer held here.");
+
+    const received_by = sanitize(req.body.received_by);
+    const storage_location = sanitize(req.body.storage_location);
+    const note = sanitize(req.body.note);
+    if (!received_by || received_by.length > 150) return flashRedirect(req, res, backUrl, "error", "Enter who received the item (max 150 chars).");
+    if (storage_location.length > MAX_STORAGE_LOCATION_LENGTH) return flashRedirect(req, res, backUrl, "error", `Keep the storage bin or shelf under ${MAX_STORAGE_LOCATION_LENGTH} characters.`);
+    if (note.length > 500) return flashRedirect(req, res, backUrl, "error", "Keep the note under 500 characters.");
+
+    const pickedOfficeId = Number(req.body.office_id) || officeId;
+    const toOffice = pickedOfficeId === officeId ? null : await getCustodyOffice(pickedOfficeId);
+    if (pickedOfficeId !== officeId && !toOffice) return flashRedirect(req, res, backUrl, "error", "That office no longer exists.");
+    const newOfficeId = toOffice ? toOffice.id : officeId;
+
+    await supabase.from("found_posts").update({ office_id: newOfficeId, storage_location: storage_location || null }).eq("id", post.id);
+    await recordCustodyEvent({
+      found_post_id: post.id, event_type: "handoff", office_id: newOfficeId, recorded_by: req.session.userId,
+      received_from: res.locals.currentUser.full_name, received_by, storage_location: storage_location || null, note: note || null
     });
-
-    await sendPasswordResetEmail(email, buildResetLink(rawToken));
-    return flashRedirect(req, res, "/account", "success", "Password reset link sent to your email. Check spam/junk if you don’t see it.");
+    if (toOffice) return flashRedirect(req, res, "/office", "success", `"${post.item_name}" is now held at ${toOffice.name}.`);
+    return flashRedirect(req, res, backUrl, "success", "Handoff recorded.");
   } catch (err) {
-    console.error("Account reset link error:", err);
-    return flashRedirect(req, res, "/account", "error", "Something went wrong.");
+    console.error("Office handoff error:", err);
+    return flashRedirect(req, res, backUrl, "error", "Something went wrong.");
   }
 });
 
-// ── Change Item Status (active / lost / recovered) ──
-
-async function handleItemStatusChange(req, res, itemStatusInput) {
-  const item = await getOwnedItem(req, req.params.id, "id, user_id, item_name, item_status");
-  if (!item) { setFlash(req, "error", "Item not found."); return res.redirect("/dashboard"); }
-
-  const fallbackNextStatus = item.item_status === ITEM_STATUS.ACTIVE
-    ? ITEM_STATUS.LOST
-    : item.item_status === ITEM_STATUS.LOST
-      ? ITEM_STATUS.RECOVERED
-      : ITEM_STATUS.ACTIVE;
-  const item_status = itemStatusInput || fallbackNextStatus;
-  if (!ITEM_STATUS_VALUES.includes(item_status)) { setFlash(req, "error", "Invalid status."); return res.redirect("/dashboard"); }
-
-  await supabase.from("items").update({ item_status }).eq("id", item.id);
-  const statusMessages = {
-    lost: `"${item.item_name}" is now listed on the Lost Board. Others can spot it and let you know!`,
-    recovered: `Great news! "${item.item_name}" is marked as recovered.`,
-    active: `"${item.item_name}" is back to active.`
-  };
-  setFlash(req, "success", statusMessages[item_status] || `Status updated.`);
-  return res.redirect("/dashboard");
-}
+// Release to the owner: either a PUTrace claimer or someone who walked up to the counter.
+// Only the ID type and the last 4 characters of its number are kept.
+app.post("/office/posts/:id/release", requireCustodian, async (req, res) => {
+  const backUrl = `/office/posts/${req.params.id}`;
+  try {
+    const officeId = res.locals.custodianOfficeId;
+    const post = await getOfficePost(res, req.params.id, "id, item_name, status, office_id");
+    if (!post) return res.status(404).render("not_found");
+    if (!HELD_POST_STATUSES.includes(post.status)) return flashRedirect(req, res, backUrl, "error", "This item is no longer held here.");
+
+    const id_type = req.body.id_type;
+    const id_last4 = sanitize(req.body.id_last4).toUpperCase();
+    const note = sanitize(req.body.note);
+    if (!CUSTODY_ID_TYPES.includes(id_type)) return flashRedirect(req, res, backUrl, "error", "Pick the type of ID you checked.");
+    if (!/^[A-Z0-9]{4}$/.test(id_last4)) return flashRedirect(req, res, backUrl, "error", "Enter the last 4 letters or digits of the ID number.");
+    if (note.length > 500) return flashRedirect(req, res, backUrl, "error", "Keep the note under 500 characters.");
+
+    let claim = null;
+    let released_to_name = null;
+    if (req.body.claim_id) {
+      const { data } = await supabase
+        .from("found_claims")
+        .select("id, claimer_user_id, status")
+        .eq("id", Number(req.body.claim_id))
+        .eq("found_post_id", post.id)
+        .maybeSingle();
+      if (!data || data.status !== "open") return flashRedirect(req, res, backUrl, "error", "That claim is no longer open.");
+      claim = data;
+    } else {
+      released_to_name = sanitize(req.body.released_to_name);
+      if (!released_to_name || released_to_name.length > 150) return flashRedirect(req, res, backUrl, "error", "Pick the claim, or enter the name of the person collecting the item.");
+    }
 
-app.post("/item/:id/status", requireAuth, async (req, res) => {
-  return handleItemStatusChange(req, res, req.body.item_status);
-});
+    const { data: released } = await supabase
+      .from("found_posts")
+      .update({ status: "returned" })
+      .eq("id", post.id)
+      .in("status", HELD_POST_STATUSES)
+      .select("id")
+      .maybeSingle();
+    if (!released) return flashRedirect(req, res, backUrl, "error", "This item is no longer held here.");
+    if (claim) await supabase.from("found_claims").update({ status: "returned" }).eq("id", claim.id);
+    await publishFoundPostReturned(post.id);
 
-app.get("/item/:id/status", requireAuth, async (req, res) => {
-  return handleItemStatusChange(req, res, sanitize(req.query.item_status || ""));
+    await recordCustodyEvent({
+      found_post_id: post.id, event_type: "release", office_id: officeId, recorded_by: req.session.userId,
+      released_to_user_id: claim?.claimer_user_id || null, released_to_name, id_type, id_last4, note: note || null
+    });
+    return flashRedirect(req, res, backUrl, "success", `Released "${post.item_name}" to its owner.`);
+  } catch (err) {
+    console.error("Office release error:", err);
+    return flashRedirect(req, res, backUrl, "error", "Something went wrong.");
+  }
 });
 
 // ── Delete Found Post ──
@@ -2126,11 +5452,14 @@ app.get("/item/:id/status", requireAuth, async (req, res) => {
 app.post("/found-items/:id/delete", requireAuth, async (req, res) => {
   try {
     const postId = Number(req.params.id);
-    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, status, item_name, image_url").eq("id", postId).maybeSingle();
+    const { data: post } = await supabase.from("found_posts").select("id, finder_user_id, office_id, status, item_name, image_url").eq("id", postId).maybeSingle();
     if (!post || post.finder_user_id !== req.session.userId) {
       setFlash(req, "error", "Post not found.");
       return res.redirect("/found-items");
     }
+    if (post.office_id) {
+      return flashRedirect(req, res, "/found-items", "error", `"${post.item_name}" is held at a lost-and-found office now, so its post stays up.`);
+    }
     const { data: openClaims } = await supabase
       .from("found_claims")
       .select("id")
@@ -2140,10 +5469,8 @@ app.post("/found-items/:id/delete", requireAuth, async (req, res) => {
       setFlash(req, "error", `Cannot delete \"${post.item_name}\" — it has active claims. Resolve or reject them first.`);
       return res.redirect("/found-items");
     }
-    if (post.image_url) {
-      const fileName = post.image_url.split("/").pop().split("?")[0];
-      await supabase.storage.from("item-images").remove([fileName]);
-    }
+    await removePhotoGallery("found", post);
+    await removeParentChatAttachments("found", post.id);
     await supabase.from("found_posts").delete().eq("id", postId);
     setFlash(req, "success", "Found post removed.");
     return res.redirect("/found-items");
@@ -2170,11 +5497,9 @@ app.post("/item/:id/delete", requireAuth, async (req, res) => {
     return res.redirect("/dashboard");
   }
 
-  // Remove item image from storage if one was uploaded
-  if (item.image_url) {
-    const fileName = item.image_url.split("/").pop().split("?")[0];
-    await supabase.storage.from("item-images").remove([fileName]);
-  }
+  // Remove the item's photos and the photos shared in its report chats from storage
+  await removePhotoGallery("item", item);
+  await removeParentChatAttachments("item", item.id);
 
   // Cascade on finder_reports and report_messages is handled by the schema
   await supabase.from("items").delete().eq("id", item.id);
@@ -2184,40 +5509,84 @@ app.post("/item/:id/delete", requireAuth, async (req, res) => {
 
 // ── Admin Panel ──
 
+// Each admin list is its own paginated tab: /admin?tab=users|lost|posts|reports&cursor=...
+const ADMIN_TABS = ["users", "lost", "posts", "turnover", "reports"];
+
 app.get("/admin", requireAdmin, async (req, res) => {
   try {
-    const { data: users } = await supabase.from("users").select("id, full_name, email, is_admin, is_banned, created_at").order("created_at", { ascending: false });
-    const { data: foundPosts } = await supabase.from("found_posts").select("id, item_name, finder_name, finder_email, status, created_at, found_at, finder_user_id, image_url, item_description, location_found").order("created_at", { ascending: false });
-    const { data: lostItems } = await supabase
-      .from("items")
-      .select("id, item_name, item_description, category, image_url, created_at, user_id")
-      .eq("item_status", "lost")
-      .order("created_at", { ascending: false });
-    const { data: reports } = await supabase.from("finder_reports").select("id, item_id, finder_name, finder_email, message, status, created_at").order("created_at", { ascending: false });
+    const tab = ADMIN_TABS.includes(req.query.tab) ? req.query.tab : "users";
+    const countOf = async (query) => (await query).count || 0;
+    const [userCount, bannedCount, postCount, lostCount, reportCount, turnoverCount, unhashedItemPhotos, unhashedPostPhotos] = await Promise.all([
+      countOf(supabase.from("users").select("id", { count: "exact", head: true })),
+      countOf(supabase.from("users").select("id", { count: "exact", head: true }).eq("is_banned", true)),
+      countOf(supabase.from("found_posts").select("id", { count: "exact", head: true })),
+      countOf(supabase.from("items").select("id", { count: "exact", head: true }).eq("item_status", ITEM_STATUS.LOST)),
+      countOf(supabase.from("finder_reports").select("id", { count: "exact", head: true })),
+      countOf(supabase.from("found_posts").select("id", { count: "exact", head: true }).eq("status", "unclaimed").not("turnover_requested_at", "is", null)),
+      countOf(supabase.from("item_photos").select("id", { count: "exact", head: true }).is("phash", null).is("phash_failed_at", null)),
+      countOf(supabase.from("found_post_photos").select("id", { count: "exact", head: true }).is("phash", null).is("phash_failed_at", null))
+    ]);
 
-    // Attach item names + images to reports
-    const itemIds = [...new Set((reports || []).map(r => r.item_id))];
-    let itemMap = {};
-    if (itemIds.length > 0) {
-      const { data: items } = await supabase.from("items").select("id, item_name, image_url").in("id", itemIds);
-      itemMap = Object.fromEntries((items || []).map(i => [i.id, i]));
-    }
+    let users = [], foundPosts = [], lostItems = [], reports = [];
+    let page;
+    if (tab === "users") {
+      page = await fetchKeysetPage(supabase.from("users").select("id, full_name, email, is_admin, is_banned, created_at"), req.query.cursor, ADMIN_PAGE_SIZE);
+      users = page.rows;
+    } else if (tab === "posts") {
+      page = await fetchKeysetPage(
+        supabase.from("found_posts").select("id, item_name, finder_name, finder_email, status, created_at, found_at, finder_user_id, image_url, item_description, location_found"),
+        req.query.cursor, ADMIN_PAGE_SIZE
+      );
+      foundPosts = page.rows;
+    } else if (tab === "turnover") {
+      // Posts due to be handed in to the office, and those already held there
+      page = await fetchKeysetPage(
+        supabase.from("found_posts").select("id, item_name, finder_name, finder_email, finder_user_id, office_id, status, image_url, location_found, created_at, turnover_requested_at, surrendered_at"),
+        req.query.cursor, ADMIN_PAGE_SIZE,
+        "and(status.eq.unclaimed,turnover_requested_at.not.is.null),status.eq.surrendered"
+      );
+      foundPosts = page.rows;
+    } else if (tab === "lost") {
+      page = await fetchKeysetPage(
+        supabase.from("items").select("id, item_name, item_description, category, image_url, created_at, user_id").eq("item_status", ITEM_STATUS.LOST),
+        req.query.cursor, ADMIN_PAGE_SIZE
+      );
+      const ownerIds = [...new Set(page.rows.map((i) => i.user_id).filter(Boolean))];
+      let ownersById = {};
+      if (ownerIds.length > 0) {
+        const { data: owners } = await supabase.from("users").select("id, full_name").in("id", ownerIds);
+        ownersById = Object.fromEntries((owners || []).map((u) => [u.id, u.full_name]));
+      }
+      lostItems = page.rows.map((i) => ({ ...i, owner_name: ownersById[i.user_id] || "Unknown" }));
+    } else {
+      page = await fetchKeysetPage(supabase.from("finder_reports").select("id, item_id, finder_name, finder_email, message, status, created_at"), req.query.cursor, ADMIN_PAGE_SIZE);
+
+      // Attach item names + images to reports
+      const itemIds = [...new Set(page.rows.map(r => r.item_id))];
+      let itemMap = {};
+      if (itemIds.length > 0) {
+        const { data: items } = await supabase.from("items").select("id, item_name, image_url").in("id", itemIds);
+        itemMap = Object.fromEntries((items || []).map(i => [i.id, i]));
+      }
 
-    const ownerIds = [...new Set((lostItems || []).map((i) => i.user_id).filter(Boolean))];
-    let ownersById = {};
-    if (ownerIds.length > 0) {
-      const { data: owners } = await supabase.from("users").select("id, full_name").in("id", ownerIds);
-      ownersById = Object.fromEntries((owners || []).map((u) => [u.id, u.full_name]));
+      // Map reporter emails to user IDs so names can link to admin profiles
+      const reporterEmails = [...new Set(page.rows.map(r => r.finder_email).filter(Boolean))];
+      let usersByEmail = {};
+      if (reporterEmails.length > 0) {
+        const { data: reporters } = await supabase.from("users").select("id, email").in("email", reporterEmails);
+        usersByEmail = Object.fromEntries((reporters || []).map(u => [u.email.toLowerCase(), u.id]));
+      }
+      reports = page.rows.map(r => ({ ...r, item_name: itemMap[r.item_id]?.item_name || "Unknown", item_image: itemMap[r.item_id]?.image_url || null, reporter_user_id: usersByEmail[(r.finder_email || "").toLowerCase()] || null }));
     }
 
-    // Map reporter emails to user IDs so names can link to admin profiles
-    const usersByEmail = Object.fromEntries((users || []).map(u => [u.email.toLowerCase(), u.id]));
-
     res.render("admin", {
-      users: users || [],
-      foundPosts: foundPosts || [],
-      lostItems: (lostItems || []).map((i) => ({ ...i, owner_name: ownersById[i.user_id] || "Unknown" })),
-      reports: (reports || []).map(r => ({ ...r, item_name: itemMap[r.item_id]?.item_name || "Unknown", item_image: itemMap[r.item_id]?.image_url || null, reporter_user_id: usersByEmail[(r.finder_email || "").toLowerCase()] || null }))
+      tab,
+      stats: { users: userCount, banned: bannedCount, posts: postCount, lost: lostCount, reports: reportCount, turnover: turnoverCount },
+      archiveDays: FOUND_POST_ARCHIVE_DAYS,
+      users, foundPosts, lostItems, reports,
+      unhashedPhotos: unhashedItemPhotos + unhashedPostPhotos,
+      isFirstPage: !req.query.cursor,
+      nextPageUrl: page.nextCursor ? pageUrl("/admin", { tab, cursor: page.nextCursor }) : null
     });
   } catch (err) {
     console.error("Admin panel error:", err);
@@ -2242,9 +5611,12 @@ app.get("/admin/users/:id", requireAdmin, async (req, res) => {
       itemMap = Object.fromEntries((its || []).map(i => [i.id, i]));
     }
 
+    const timelines = await getItemTimelines((items || []).map((i) => i.id));
+
     res.render("admin_user", {
       user,
       items: items || [],
+      timelines,
       foundPosts: foundPosts || [],
       reports: (reports || []).map(r => ({ ...r, item_name: itemMap[r.item_id]?.item_name || "Unknown", item_image: itemMap[r.item_id]?.image_url || null }))
     });
@@ -2270,30 +5642,481 @@ app.post("/admin/users/:id/unban", requireAdmin, async (req, res) => {
 
 app.post("/admin/posts/:id/delete", requireAdmin, async (req, res) => {
   const { data: post } = await supabase.from("found_posts").select("id, image_url").eq("id", Number(req.params.id)).maybeSingle();
-  if (!post) return flashRedirect(req, res, "/admin", "error", "Post not found.");
-  if (post.image_url) {
-    const fileName = post.image_url.split("/").pop().split("?")[0];
-    await supabase.storage.from("item-images").remove([fileName]);
-  }
+  if (!post) return flashRedirect(req, res, "/admin?tab=posts", "error", "Post not found.");
+  await removePhotoGallery("found", post);
+  await removeParentChatAttachments("found", post.id);
   await supabase.from("found_posts").delete().eq("id", post.id);
-  return flashRedirect(req, res, "/admin", "success", "Found post deleted.");
+  return flashRedirect(req, res, "/admin?tab=posts", "success", "Found post deleted.");
 });
 
 app.post("/admin/reports/:id/delete", requireAdmin, async (req, res) => {
+  await removeChatAttachments("report", [Number(req.params.id)]);
   await supabase.from("finder_reports").delete().eq("id", Number(req.params.id));
-  return flashRedirect(req, res, "/admin", "success", "Report deleted.");
+  return flashRedirect(req, res, "/admin?tab=reports", "success", "Report deleted.");
+});
+
+// Admin: the office confirms it received a found item, or that it went back to its owner
+app.post("/admin/posts/:id/surrender", requireAdmin, async (req, res) => {
+  const surrendered = await surrenderFoundPost(Number(req.params.id), req.session.userId);
+  if (!surrendered) return flashRedirect(req, res, "/admin?tab=turnover", "error", "That post isn't waiting to be handed in.");
+  return flashRedirect(req, res, "/admin?tab=turnover", "success", `Marked "${surrendered.item_name}" as received.`);
+});
+
+// Only for posts handed in without an office logging them; office-held items go through the desk's
+// release flow so the handover and the claimer's ID end up in the chain of custody
+app.post("/admin/posts/:id/returned", requireAdmin, async (req, res) => {
+  const { data: post } = await supabase
+    .from("found_posts")
+    .update({ status: "returned" })
+    .eq("id", Number(req.params.id))
+    .eq("status", "surrendered")
+    .is("office_id", null)
+    .select("id, item_name")
+    .maybeSingle();
+  if (!post) return flashRedirect(req, res, "/admin?tab=turnover", "error", "That post isn't waiting at the office, or an office holds it and must release it from its desk.");
+  await publishFoundPostReturned(post.id);
+  return flashRedirect(req, res, "/admin?tab=turnover", "success", `Marked "${post.item_name}" as returned to its owner.`);
+});
+
+// Admin: compute similarity hashes for photos uploaded before hashing existed, a batch per click
+app.post("/admin/photo-hashes", requireAdmin, async (req, res) => {
+  try {
+    let updated = 0;
+    let failed = 0;
+    for (const { table } of Object.values(PHOTO_GALLERIES)) {
+      // Photos that failed before are marked and skipped, so unreachable ones can't fill every batch
+      const { data: photos } = await supabase
+        .from(table)
+        .select("id, image_url")
+        .is("phash", null)
+        .is("phash_failed_at", null)
+        .order("id", { ascending: true })
+        .limit(PHOTO_HASH_BACKFILL_BATCH);
+      for (const photo of photos || []) {
+        try {
+          const response = await fetch(photo.image_url);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const phash = await computeImageHash(Buffer.from(await response.arrayBuffer()));
+          await supabase.from(table).update({ phash }).eq("id", photo.id);
+          updated++;
+        } catch (photoErr) {
+          console.error("Photo hash backfill failed for", photo.image_url, photoErr);
+          await supabase.from(table).update({ phash_failed_at: new Date().toISOString() }).eq("id", photo.id);
+          failed++;
+        }
+      }
+    }
+    const skipped = failed > 0 ? ` ${failed} couldn't be read and will be skipped from now on.` : "";
+    return flashRedirect(req, res, "/admin", "success", `Computed similarity fingerprints for ${updated} photo${updated === 1 ? "" : "s"}.${skipped}`);
+  } catch (err) {
+    console.error("Photo hash backfill error:", err);
+    return flashRedirect(req, res, "/admin", "error", "Something went wrong.");
+  }
 });
 
 // Admin: Delete lost board item
 app.post("/admin/items/:id/delete", requireAdmin, async (req, res) => {
   const { data: item } = await supabase.from("items").select("id, item_name, image_url").eq("id", req.params.id).maybeSingle();
-  if (!item) return flashRedirect(req, res, "/admin", "error", "Item not found.");
-  if (item.image_url) {
-    const fileName = item.image_url.split("/").pop().split("?")[0];
-    await supabase.storage.from("item-images").remove([fileName]);
-  }
+  if (!item) return flashRedirect(req, res, "/admin?tab=lost", "error", "Item not found.");
+  await removePhotoGallery("item", item);
+  await removeParentChatAttachments("item", item.id);
   await supabase.from("items").delete().eq("id", item.id);
-  return flashRedirect(req, res, "/admin", "success", "Lost item deleted.");
+  return flashRedirect(req, res, "/admin?tab=lost", "success", "Lost item deleted.");
+});
+
+// ── Admin: Campus location directory ──
+
+app.get("/admin/locations", requireAdmin, async (req, res) => {
+  try {
+    const { buildings } = await getCampusDirectory();
+    res.render("admin_locations", { buildings, maxAliases: MAX_LOCATION_ALIASES });
+  } catch (err) {
+    console.error("Admin locations error:", err);
+    return flashRedirect(req, res, "/admin", "error", "Couldn't load the location directory.");
+  }
+});
+
+// Building / place form fields, or an error message
+function getBuildingFields(body) {
+  const name = sanitize(body.name);
+  if (!name || name.length > 100) return { error: "Building name is required (max 100 chars)." };
+  return { values: { name, aliases: parseAliases(body.aliases) } };
+}
+
+function getPlaceFields(body) {
+  const floor = sanitize(body.floor);
+  const room = sanitize(body.room);
+  if (!floor && !room) return { error: "Give the place a floor, a room or both." };
+  if (floor.length > 50 || room.length > 50) return { error: "Floor and room must be 50 characters or fewer." };
+  return { values: { floor: floor || null, room: room || null, aliases: parseAliases(body.aliases) } };
+}
+
+app.post("/admin/locations/buildings", requireAdmin, async (req, res) => {
+  try {
+    const { values, error: validationError } = getBuildingFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/locations", "error", validationError);
+    const { error } = await supabase.from("campus_buildings").insert(values);
+    if (error?.code === "23505") return flashRedirect(req, res, "/admin/locations", "error", "A building with that name already exists.");
+    if (error) return flashRedirect(req, res, "/admin/locations", "error", "Couldn't add the building.");
+    return flashRedirect(req, res, "/admin/locations", "success", `Added ${values.name}.`);
+  } catch (err) {
+    console.error("Add building error:", err);
+    return flashRedirect(req, res, "/admin/locations", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/locations/buildings/:id", requireAdmin, async (req, res) => {
+  try {
+    const { values, error: validationError } = getBuildingFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/locations", "error", validationError);
+    const { error } = await supabase.from("campus_buildings").update(values).eq("id", Number(req.params.id));
+    if (error?.code === "23505") return flashRedirect(req, res, "/admin/locations", "error", "A building with that name already exists.");
+    if (error) return flashRedirect(req, res, "/admin/locations", "error", "Couldn't update the building.");
+    return flashRedirect(req, res, "/admin/locations", "success", `Saved ${values.name}.`);
+  } catch (err) {
+    console.error("Update building error:", err);
+    return flashRedirect(req, res, "/admin/locations", "error", "Something went wrong.");
+  }
+});
+
+// Deleting a building removes its places; posts and reports keep their location text, and saved searches
+// filtered on it fall back to its name as their location
+app.post("/admin/locations/buildings/:id/delete", requireAdmin, async (req, res) => {
+  try {
+    const buildingId = Number(req.params.id);
+    const { data: building } = await supabase.from("campus_buildings").select("name").eq("id", buildingId).maybeSingle();
+    if (building) {
+      await supabase.from("saved_searches").update({ location: building.name }).eq("building_id", buildingId).or("location.is.null,location.eq.");
+    }
+    await supabase.from("campus_buildings").delete().eq("id", buildingId);
+    return flashRedirect(req, res, "/admin/locations", "success", "Building deleted.");
+  } catch (err) {
+    console.error("Delete building error:", err);
+    return flashRedirect(req, res, "/admin/locations", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/locations/buildings/:id/places", requireAdmin, async (req, res) => {
+  try {
+    const { data: building } = await supabase.from("campus_buildings").select("id").eq("id", Number(req.params.id)).maybeSingle();
+    if (!building) return flashRedirect(req, res, "/admin/locations", "error", "Building not found.");
+    const { values, error: validationError } = getPlaceFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/locations", "error", validationError);
+    const { error } = await supabase.from("campus_locations").insert({ ...values, building_id: building.id });
+    if (error) return flashRedirect(req, res, "/admin/locations", "error", "Couldn't add the place.");
+    return flashRedirect(req, res, "/admin/locations", "success", "Place added.");
+  } catch (err) {
+    console.error("Add place error:", err);
+    return flashRedirect(req, res, "/admin/locations", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/locations/places/:id", requireAdmin, async (req, res) => {
+  try {
+    const { values, error: validationError } = getPlaceFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/locations", "error", validationError);
+    const { error } = await supabase.from("campus_locations").update(values).eq("id", Number(req.params.id));
+    if (error) return flashRedirect(req, res, "/admin/locations", "error", "Couldn't update the place.");
+    return flashRedirect(req, res, "/admin/locations", "success", "Place saved.");
+  } catch (err) {
+    console.error("Update place error:", err);
+    return flashRedirect(req, res, "/admin/locations", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/locations/places/:id/delete", requireAdmin, async (req, res) => {
+  try {
+    await supabase.from("campus_locations").delete().eq("id", Number(req.params.id));
+    return flashRedirect(req, res, "/admin/locations", "success", "Place deleted.");
+  } catch (err) {
+    console.error("Delete place error:", err);
+    return flashRedirect(req, res, "/admin/locations", "error", "Something went wrong.");
+  }
+});
+
+// ── Admin: Lost-and-found offices and their custodians ──
+
+app.get("/admin/offices", requireAdmin, async (req, res) => {
+  try {
+    const [{ data: offices }, { data: custodians }] = await Promise.all([
+      supabase.from("custody_offices").select("id, name, location, office_hours").order("name", { ascending: true }),
+      supabase.from("users").select("id, full_name, email, custodian_office_id").not("custodian_office_id", "is", null).order("full_name", { ascending: true })
+    ]);
+    res.render("admin_offices", {
+      offices: (offices || []).map((o) => ({ ...o, custodians: (custodians || []).filter((u) => u.custodian_office_id === o.id) })),
+      lostAndFoundOffice: LOST_AND_FOUND_OFFICE
+    });
+  } catch (err) {
+    console.error("Admin offices error:", err);
+    return flashRedirect(req, res, "/admin", "error", "Couldn't load the offices.");
+  }
+});
+
+// Office form fields, or an error message
+function getOfficeFields(body) {
+  const name = sanitize(body.name);
+  const location = sanitize(body.location);
+  const office_hours = sanitize(body.office_hours);
+  if (!name || name.length > 100) return { error: "Office name is required (max 100 chars)." };
+  if (location.length > 150 || office_hours.length > 150) return { error: "Location and office hours must be 150 characters or fewer." };
+  return { values: { name, location: location || null, office_hours: office_hours || null } };
+}
+
+app.post("/admin/offices", requireAdmin, async (req, res) => {
+  try {
+    const { values, error: validationError } = getOfficeFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/offices", "error", validationError);
+    const { error } = await supabase.from("custody_offices").insert(values);
+    if (error?.code === "23505") return flashRedirect(req, res, "/admin/offices", "error", "An office with that name already exists.");
+    if (error) return flashRedirect(req, res, "/admin/offices", "error", "Couldn't add the office.");
+    return flashRedirect(req, res, "/admin/offices", "success", `Added ${values.name}.`);
+  } catch (err) {
+    console.error("Add office error:", err);
+    return flashRedirect(req, res, "/admin/offices", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/offices/:id", requireAdmin, async (req, res) => {
+  try {
+    const { values, error: validationError } = getOfficeFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/offices", "error", validationError);
+    const { error } = await supabase.from("custody_offices").update(values).eq("id", Number(req.params.id));
+    if (error?.code === "23505") return flashRedirect(req, res, "/admin/offices", "error", "An office with that name already exists.");
+    if (error) return flashRedirect(req, res, "/admin/offices", "error", "Couldn't update the office.");
+    return flashRedirect(req, res, "/admin/offices", "success", `Saved ${values.name}.`);
+  } catch (err) {
+    console.error("Update office error:", err);
+    return flashRedirect(req, res, "/admin/offices", "error", "Something went wrong.");
+  }
+});
+
+// An office still holding items can't be deleted; its custodians simply lose the role
+app.post("/admin/offices/:id/delete", requireAdmin, async (req, res) => {
+  try {
+    const officeId = Number(req.params.id);
+    const { count } = await supabase
+      .from("found_posts")
+      .select("id", { count: "exact", head: true })
+      .eq("office_id", officeId)
+      .in("status", HELD_POST_STATUSES);
+    if (count > 0) return flashRedirect(req, res, "/admin/offices", "error", "That office still holds items. Hand them over to another office first.");
+    await supabase.from("custody_offices").delete().eq("id", officeId);
+    return flashRedirect(req, res, "/admin/offices", "success", "Office deleted.");
+  } catch (err) {
+    console.error("Delete office error:", err);
+    return flashRedirect(req, res, "/admin/offices", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/offices/:id/custodians", requireAdmin, async (req, res) => {
+  try {
+    const { data: office } = await supabase.from("custody_offices").select("id, name").eq("id", Number(req.params.id)).maybeSingle();
+    if (!office) return flashRedirect(req, res, "/admin/offices", "error", "Office not found.");
+
+    const handle = sanitize(req.body.user || "");
+    if (!handle) return flashRedirect(req, res, "/admin/offices", "error", "Enter the custodian's username or school email.");
+    const lookupQuery = handle.includes("@")
+      ? supabase.from("users").select("id, full_name, is_banned").eq("email", normalizeSchoolEmailInput(handle))
+      : supabase.from("users").select("id, full_name, is_banned").eq("username", normalizeUsername(handle));
+    const { data: user } = await lookupQuery.maybeSingle();
+    if (!user || user.is_banned) return flashRedirect(req, res, "/admin/offices", "error", "No active PUTrace account matches that username or email.");
+
+    await supabase.from("users").update({ custodian_office_id: office.id }).eq("id", user.id);
+    return flashRedirect(req, res, "/admin/offices", "success", `${user.full_name} is now a custodian at ${office.name}.`);
+  } catch (err) {
+    console.error("Add custodian error:", err);
+    return flashRedirect(req, res, "/admin/offices", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/custodians/:userId/remove", requireAdmin, async (req, res) => {
+  await supabase.from("users").update({ custodian_office_id: null }).eq("id", String(req.params.userId || ""));
+  return flashRedirect(req, res, "/admin/offices", "success", "Custodian removed.");
+});
+
+// ── Admin: Item categories ──
+
+app.get("/admin/categories", requireAdmin, async (req, res) => {
+  try {
+    const [{ all }, { data: usage, error }] = await Promise.all([getCategories(), supabase.rpc("category_usage_counts")]);
+    if (error) throw error;
+    const usageByName = Object.fromEntries((usage || []).map((u) => [u.name, u]));
+    res.render("admin_categories", {
+      categories: all.map((c) => ({ ...c, item_count: Number(usageByName[c.name]?.item_count || 0), post_count: Number(usageByName[c.name]?.post_count || 0) })),
+      fallbackCategory: FALLBACK_CATEGORY,
+      maxNameLength: MAX_CATEGORY_NAME_LENGTH
+    });
+  } catch (err) {
+    console.error("Admin categories error:", err);
+    return flashRedirect(req, res, "/admin", "error", "Couldn't load the categories.");
+  }
+});
+
+// Category form fields, or an error message. Icons are Lucide icon names.
+function getCategoryFields(body) {
+  const name = sanitize(body.name);
+  const icon = sanitize(body.icon).toLowerCase();
+  if (!name || name.length > MAX_CATEGORY_NAME_LENGTH) return { error: `Category name is required (max ${MAX_CATEGORY_NAME_LENGTH} chars).` };
+  if (icon && !/^[a-z0-9-]{1,40}$/.test(icon)) return { error: "Use a Lucide icon name for the icon, e.g. umbrella or calculator." };
+  return { values: { name, icon: icon || null } };
+}
+
+app.post("/admin/categories", requireAdmin, async (req, res) => {
+  try {
+    const { values, error: validationError } = getCategoryFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/categories", "error", validationError);
+    const { all } = await getCategories();
+    if (all.some((c) => c.name.toLowerCase() === values.name.toLowerCase())) {
+      return flashRedirect(req, res, "/admin/categories", "error", "A category with that name already exists.");
+    }
+    const position = all.length > 0 ? Math.max(...all.map((c) => c.position)) + 1 : 0;
+    const { error } = await supabase.from("item_categories").insert({ ...values, position });
+    if (error) return flashRedirect(req, res, "/admin/categories", "error", "Couldn't add the category.");
+    return flashRedirect(req, res, "/admin/categories", "success", `Added ${values.name}.`);
+  } catch (err) {
+    console.error("Add category error:", err);
+    return flashRedirect(req, res, "/admin/categories", "error", "Something went wrong.");
+  }
+});
+
+// Rename (existing items and posts follow along) and/or change the icon
+app.post("/admin/categories/:id", requireAdmin, async (req, res) => {
+  try {
+    const { values, error: validationError } = getCategoryFields(req.body);
+    if (validationError) return flashRedirect(req, res, "/admin/categories", "error", validationError);
+    const { all } = await getCategories();
+    const category = all.find((c) => c.id === Number(req.params.id));
+    if (!category) return flashRedirect(req, res, "/admin/categories", "error", "Category not found.");
+    if (category.name === FALLBACK_CATEGORY && values.name !== FALLBACK_CATEGORY) {
+      return flashRedirect(req, res, "/admin/categories", "error", `"${FALLBACK_CATEGORY}" can't be renamed; it catches everything else.`);
+    }
+    if (all.some((c) => c.id !== category.id && c.name.toLowerCase() === values.name.toLowerCase())) {
+      return flashRedirect(req, res, "/admin/categories", "error", "A category with that name already exists. Merge them instead.");
+    }
+
+    // One transaction: the category and every row using its old name change together (see db/schema.sql)
+    const { error } = await supabase.rpc("rename_category", { category_id: category.id, new_name: values.name, new_icon: values.icon });
+    if (error) {
+      console.error("Rename category failed:", error);
+      return flashRedirect(req, res, "/admin/categories", "error", "Couldn't update the category.");
+    }
+    return flashRedirect(req, res, "/admin/categories", "success", `Saved ${values.name}.`);
+  } catch (err) {
+    console.error("Update category error:", err);
+    return flashRedirect(req, res, "/admin/categories", "error", "Something went wrong.");
+  }
+});
+
+// Swap a category with its neighbour, then renumber so positions stay 0..n-1
+app.post("/admin/categories/:id/move", requireAdmin, async (req, res) => {
+  try {
+    const { all } = await getCategories();
+    const index = all.findIndex((c) => c.id === Number(req.params.id));
+    const target = index + (req.body.direction === "up" ? -1 : 1);
+    if (index === -1 || target < 0 || target >= all.length) return res.redirect("/admin/categories");
+
+    const ordered = [...all];
+    [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+    await Promise.all(ordered
+      .map((c, position) => (c.position === position ? null : supabase.from("item_categories").update({ position }).eq("id", c.id)))
+      .filter(Boolean));
+    return res.redirect("/admin/categories");
+  } catch (err) {
+    console.error("Move category error:", err);
+    return flashRedirect(req, res, "/admin/categories", "error", "Something went wrong.");
+  }
+});
+
+// Archived categories stay on existing items and posts but aren't offered for new ones
+app.post("/admin/categories/:id/archive", requireAdmin, async (req, res) => {
+  try {
+    const { data: category } = await supabase.from("item_categories").select("id, name").eq("id", Number(req.params.id)).maybeSingle();
+    if (!category) return flashRedirect(req, res, "/admin/categories", "error", "Category not found.");
+    if (category.name === FALLBACK_CATEGORY) return flashRedirect(req, res, "/admin/categories", "error", `"${FALLBACK_CATEGORY}" can't be archived.`);
+    await supabase.from("item_categories").update({ archived_at: new Date().toISOString() }).eq("id", category.id);
+    return flashRedirect(req, res, "/admin/categories", "success", `Archived ${category.name}.`);
+  } catch (err) {
+    console.error("Archive category error:", err);
+    return flashRedirect(req, res, "/admin/categories", "error", "Something went wrong.");
+  }
+});
+
+app.post("/admin/categories/:id/restore", requireAdmin, async (req, res) => {
+  try {
+    await supabase.from("item_categories").update({ archived_at: null }).eq("id", Number(req.params.id));
+    return flashRedirect(req, res, "/admin/categories", "success", "Category restored.");
+  } catch (err) {
+    console.error("Restore category error:", err);
+    return flashRedirect(req, res, "/admin/categories", "error", "Something went wrong.");
+  }
+});
+
+// Merge: every item, found post and saved search moves to the target, then the category is removed
+app.post("/admin/categories/:id/merge", requireAdmin, async (req, res) => {
+  try {
+    const { all } = await getCategories();
+    const source = all.find((c) => c.id === Number(req.params.id));
+    const target = all.find((c) => c.id === Number(req.body.into) && !c.archived_at);
+    if (!source || !target || source.id === target.id) return flashRedirect(req, res, "/admin/categories", "error", "Pick another category to merge into.");
+    if (source.name === FALLBACK_CATEGORY) return flashRedirect(req, res, "/admin/categories", "error", `"${FALLBACK_CATEGORY}" can't be merged away.`);
+
+    const { error } = await supabase.rpc("merge_category", { source_id: source.id, target_id: target.id });
+    if (error) {
+      console.error("Merge category failed:", error);
+      return flashRedirect(req, res, "/admin/categories", "error", "Couldn't merge the categories. Nothing was changed.");
+    }
+    return flashRedirect(req, res, "/admin/categories", "success", `Merged ${source.name} into ${target.name}.`);
+  } catch (err) {
+    console.error("Merge category error:", err);
+    return flashRedirect(req, res, "/admin/categories", "error", "Something went wrong.");
+  }
+});
+
+// ── Admin: Lost-and-found hotspot analytics ──
+
+const ANALYTICS_SOURCES = ["all", "found", "reports"];
+
+// Date range (whole Manila days, default the last ANALYTICS_DEFAULT_DAYS) and event source from the query string
+function getAnalyticsFilters(query) {
+  const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Manila" });
+  const defaultFrom = new Date(Date.parse(`${today}T00:00:00Z`) - (ANALYTICS_DEFAULT_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+  let from = isDateInput(query.from) ? query.from : defaultFrom;
+  let to = isDateInput(query.to) ? query.to : today;
+  if (from > to) [from, to] = [to, from];
+  return { from, to, source: ANALYTICS_SOURCES.includes(query.source) ? query.source : "all" };
+}
+
+app.get("/admin/analytics", requireAdmin, async (req, res) => {
+  try {
+    const filters = getAnalyticsFilters(req.query);
+    const events = await getHotspotEvents(filters);
+    res.render("admin_analytics", {
+      filters,
+      summary: summarizeHotspots(events, filters.from, filters.to),
+      csvUrl: pageUrl("/admin/analytics.csv", filters)
+    });
+  } catch (err) {
+    console.error("Admin analytics error:", err);
+    return flashRedirect(req, res, "/admin", "error", "Couldn't load the analytics. Please try again.");
+  }
+});
+
+// One row per event, for pivoting in a spreadsheet
+app.get("/admin/analytics.csv", requireAdmin, async (req, res) => {
+  try {
+    const filters = getAnalyticsFilters(req.query);
+    const events = await getHotspotEvents(filters);
+    const rows = [
+      ["type", "date", "weekday", "hour", "building", "location", "category"],
+      ...events.map((e) => [e.source, e.day, WEEKDAY_NAMES[e.weekday], e.hour, e.building || "", e.location || "", e.category])
+    ];
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="putrace-hotspots-${filters.from}-to-${filters.to}.csv"`);
+    return res.send(toCsv(rows));
+  } catch (err) {
+    console.error("Admin analytics export error:", err);
+    return flashRedirect(req, res, "/admin/analytics", "error", "Couldn't export the analytics. Please try again.");
+  }
 });
 
 // ── Admin: View sighting report thread ──
@@ -2305,10 +6128,11 @@ app.get("/admin/threads/report/:id", requireAdmin, async (req, res) => {
 
     const [{ data: item }, { data: rows }] = await Promise.all([
       supabase.from("items").select("id, item_name, image_url").eq("id", report.item_id).maybeSingle(),
-      supabase.from("report_messages").select("id, sender_user_id, message, created_at").eq("report_id", reportId).order("created_at", { ascending: true })
+      supabase.from("report_messages").select(CHAT_THREADS.report.messageColumns).eq("report_id", reportId).order("created_at", { ascending: true })
     ]);
 
-    const messages = rows || [];
+    const messages = await signChatAttachments(rows || []);
+    const editHistory = await getMessageEditHistory("report", messages.map((m) => m.id));
     const senderIds = [...new Set(messages.map(m => m.sender_user_id).filter(Boolean))];
     let senderMap = {};
     if (senderIds.length > 0) {
@@ -2326,7 +6150,8 @@ app.get("/admin/threads/report/:id", requireAdmin, async (req, res) => {
       },
       ...messages.map((m) => ({
         ...m,
-        sender_name: senderMap[m.sender_user_id] || "User",
+        sender_name: m.from_guest ? `${report.finder_name} (guest)` : (senderMap[m.sender_user_id] || "User"),
+        edits: editHistory[m.id] || [],
         can_delete: true
       }))
     ];
@@ -2334,7 +6159,7 @@ app.get("/admin/threads/report/:id", requireAdmin, async (req, res) => {
     res.render("admin_thread", {
       threadType: "report",
       title: item?.item_name || "Unknown Item",
-      subtitle: `Sighting report by ${report.finder_name || report.finder_email || "Unknown"}`,
+      subtitle: `Sighting report by ${report.finder_name || report.finder_email || "Unknown"}${report.is_guest ? " (guest, no account)" : ""}`,
       image: item?.image_url || null,
       backUrl: "/admin",
       messages: threadMessages
@@ -2391,11 +6216,12 @@ app.get("/admin/threads/claim/:id", requireAdmin, async (req, res) => {
 
     const { data: rows } = await supabase
       .from("found_claim_messages")
-      .select("id, sender_user_id, message, created_at")
+      .select(CHAT_THREADS.claim.messageColumns)
       .eq("claim_id", claimId)
       .order("created_at", { ascending: true });
 
-    const messages = rows || [];
+    const messages = await signChatAttachments(rows || []);
+    const editHistory = await getMessageEditHistory("claim", messages.map((m) => m.id));
     const senderIds = [...new Set(messages.map(m => m.sender_user_id).filter(Boolean))];
     let senderMap = {};
     if (senderIds.length > 0) {
@@ -2409,7 +6235,7 @@ app.get("/admin/threads/claim/:id", requireAdmin, async (req, res) => {
       subtitle: `Claim thread — ${claim.status}`,
       image: post.image_url || null,
       backUrl: `/admin/threads/post/${post.id}`,
-      messages: messages.map(m => ({ ...m, sender_name: senderMap[m.sender_user_id] || "User" }))
+      messages: messages.map(m => ({ ...m, sender_name: senderMap[m.sender_user_id] || "User", edits: editHistory[m.id] || [] }))
     });
   } catch (err) {
     console.error("Admin thread (claim) error:", err);
@@ -2420,7 +6246,8 @@ app.get("/admin/threads/claim/:id", requireAdmin, async (req, res) => {
 // ── Admin: Delete individual message ──
 app.post("/admin/messages/report/:id/delete", requireAdmin, async (req, res) => {
   const msgId = Number(req.params.id);
-  const { data: msg } = await supabase.from("report_messages").select("report_id").eq("id", msgId).maybeSingle();
+  const { data: msg } = await supabase.from("report_messages").select("report_id, attachment_path").eq("id", msgId).maybeSingle();
+  if (msg?.attachment_path) await supabase.storage.from(CHAT_ATTACHMENT_BUCKET).remove([msg.attachment_path]);
   await supabase.from("report_messages").delete().eq("id", msgId);
   const back = msg ? `/admin/threads/report/${msg.report_id}` : "/admin";
   return flashRedirect(req, res, back, "success", "Message deleted.");
@@ -2428,7 +6255,8 @@ app.post("/admin/messages/report/:id/delete", requireAdmin, async (req, res) =>
 
 app.post("/admin/messages/claim/:id/delete", requireAdmin, async (req, res) => {
   const msgId = Number(req.params.id);
-  const { data: msg } = await supabase.from("found_claim_messages").select("claim_id").eq("id", msgId).maybeSingle();
+  const { data: msg } = await supabase.from("found_claim_messages").select("claim_id, attachment_path").eq("id", msgId).maybeSingle();
+  if (msg?.attachment_path) await supabase.storage.from(CHAT_ATTACHMENT_BUCKET).remove([msg.attachment_path]);
   await supabase.from("found_claim_messages").delete().eq("id", msgId);
   const back = msg ? `/admin/threads/claim/${msg.claim_id}` : "/admin";
   return flashRedirect(req, res, back, "success", "Message deleted.");
@@ -2450,6 +6278,58 @@ app.get("/download/:token", requireAuth, async (req, res) => {
   res.send(imgBuffer);
 });
 
+// ── Printable QR Label Sheets (PDF) ──
+
+app.get("/items/labels", requireAuth, async (req, res) => {
+  try {
+    const { data: items } = await supabase
+      .from("items")
+      .select("id, item_name, category, item_status, image_url, created_at")
+      .eq("user_id", req.session.userId)
+      .order("created_at", { ascending: false });
+
+    const layoutKey = LABEL_LAYOUTS[req.query.layout] ? req.query.layout : DEFAULT_LABEL_LAYOUT;
+    res.render("print_labels", {
+      items: items || [],
+      layouts: LABEL_LAYOUTS,
+      layoutKey,
+      selectedIds: parseIdList(req.query.ids)
+    });
+  } catch (err) {
+    console.error("Print labels page error:", err);
+    return flashRedirect(req, res, "/dashboard", "error", "Couldn't load your items. Please try again.");
+  }
+});
+
+app.post("/items/labels", requireAuth, async (req, res) => {
+  try {
+    const ids = parseIdList(req.body.item_ids);
+    const layoutKey = sanitize(req.body.layout);
+    const layout = LABEL_LAYOUTS[layoutKey];
+    if (!layout) return flashRedirect(req, res, "/items/labels", "error", "Please choose a label sheet layout.");
+    if (ids.length === 0) return flashRedirect(req, res, `/items/labels?layout=${layoutKey}`, "error", "Select at least one item to print.");
+
+    // Only the logged-in user's items are included, no matter which ids were submitted
+    const { data: items } = await supabase
+      .from("items")
+      .select("id, item_name, token, created_at")
+      .eq("user_id", req.session.userId)
+      .in("id", ids)
+      .order("created_at", { ascending: false });
+    if (!items || items.length === 0) {
+      return flashRedirect(req, res, `/items/labels?layout=${layoutKey}`, "error", "None of the selected items were found.");
+    }
+
+    const pdfBuffer = await buildLabelSheetPdf(items, layout);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="putrace-labels-${layoutKey}.pdf"`);
+    return res.send(pdfBuffer);
+  } catch (err) {
+    console.error("Print labels error:", err);
+    return flashRedirect(req, res, "/items/labels", "error", "Couldn't generate the label sheet. Please try again.");
+  }
+});
+
 // ── Global Error Handlers ──
 
 // 404 Catch-All
@@ -2462,11 +6342,15 @@ app.use((err, req, res, next) => {
   console.error("Global error handler caught:", err);
   if (err instanceof multer.MulterError) {
     if (err.code === "LIMIT_FILE_SIZE") {
-      setFlash(req, "error", "File too large. Maximum size is 5MB.");
+      setFlash(req, "error", err.field === "csv_file" ? "CSV file too large. Maximum size is 1MB." : "File too large. Maximum size is 5MB.");
+      return res.redirect("back");
+    }
+    if (err.code === "LIMIT_UNEXPECTED_FILE") {
+      setFlash(req, "error", `You can upload up to ${MAX_PHOTOS} photos at a time.`);
       return res.redirect("back");
     }
   }
-  if (err?.message?.includes("Only image files are allowed")) {
+  if (err?.message?.includes("Only image files are allowed") || err?.message?.includes("Only CSV files are allowed")) {
     setFlash(req, "error", err.message);
     return res.redirect("back");
   }
@@ -2478,4 +6362,7 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`PUTrace running on port ${PORT}`);
+  // Found post turnover runs in-process: once shortly after boot, then on an interval
+  setTimeout(sweepFoundPostTurnover, 60 * 1000);
+  setInterval(sweepFoundPostTurnover, FOUND_POST_SWEEP_MS);
 });